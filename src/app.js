@@ -6,11 +6,14 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const errorHandler = require('./middlewares/errorMiddleware');
 const logger = require('./utils/logger');
+const AirtableService = require('./services/airtableService');
 
 const authRoutes = require('./routes/authRoutes');
 const formRoutes = require('./routes/formRoutes');
 const responseRoutes = require('./routes/responseRoutes');
 const webhookRoutes = require('./routes/webhookRoutes');
+const airtableRoutes = require('./routes/airtableRoutes');
+const jobRoutes = require('./routes/jobRoutes');
 
 const app = express();
 
@@ -37,7 +40,15 @@ app.use('/api/', limiter);
 app.use(morgan('combined', { stream: { write: message => logger.http(message.trim()) } }));
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Webhook MACs are computed over the exact bytes Airtable sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhooks')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Compression
@@ -53,13 +64,19 @@ app.use(cors(corsOptions));
 
 // Health check
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'healthy', timestamp: new Date().toISOString() });
+  res.status(200).json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    airtableQueue: AirtableService.getQueueStats()
+  });
 });
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/forms', formRoutes);
 app.use('/api/responses', responseRoutes);
+app.use('/api/airtable', airtableRoutes);
+app.use('/api/jobs', jobRoutes);
 app.use('/webhooks', webhookRoutes);
 
 // 404 handler
@@ -0,0 +1,137 @@
+const User = require('../models/User');
+const AirtableService = require('../services/airtableService');
+const FormValidator = require('../services/formValidation');
+const logger = require('../utils/logger');
+
+const isRefresh = (req) => req.query.refresh === 'true';
+
+const getOwner = async (req) => {
+  const user = await User.findById(req.user.userId);
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return user;
+};
+
+const annotateField = (field, table) => ({
+  ...field,
+  isPrimary: field.id === table.primaryFieldId,
+  ...FormValidator.describeField(field)
+});
+
+const findTable = async (req) => {
+  const user = await getOwner(req);
+  const tables = await AirtableService.getBaseTables(user, req.params.baseId, { refresh: isRefresh(req) });
+  return tables.find(t => t.id === req.params.tableId);
+};
+
+const sendError = (res, error, message) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: message,
+    message: error.message,
+    needsReauth: error.needsReauth || undefined
+  });
+};
+
+class AirtableController {
+  /**
+   * List bases the user has granted access to
+   */
+  async getBases(req, res) {
+    try {
+      const user = await getOwner(req);
+      const bases = await AirtableService.getUserBases(user, { refresh: isRefresh(req) });
+
+      res.json({
+        success: true,
+        bases
+      });
+
+    } catch (error) {
+      logger.error('Get Airtable bases failed:', error);
+      sendError(res, error, 'Failed to fetch bases');
+    }
+  }
+
+  /**
+   * List tables in a base, with fields annotated for form support
+   */
+  async getTables(req, res) {
+    try {
+      const user = await getOwner(req);
+      const tables = await AirtableService.getBaseTables(user, req.params.baseId, { refresh: isRefresh(req) });
+
+      res.json({
+        success: true,
+        tables: tables.map(table => ({
+          ...table,
+          fields: table.fields.map(field => annotateField(field, table))
+        }))
+      });
+
+    } catch (error) {
+      logger.error('Get Airtable tables failed:', error);
+      sendError(res, error, 'Failed to fetch tables');
+    }
+  }
+
+  /**
+   * List a table's fields, annotated with the question type each maps to
+   */
+  async getFields(req, res) {
+    try {
+      const table = await findTable(req);
+
+      if (!table) {
+        return res.status(404).json({
+          success: false,
+          error: 'Table not found in Airtable'
+        });
+      }
+
+      const fields = table.fields.map(field => annotateField(field, table));
+
+      res.json({
+        success: true,
+        tableId: table.id,
+        fields,
+        supportedCount: fields.filter(f => f.supported).length
+      });
+
+    } catch (error) {
+      logger.error('Get Airtable fields failed:', error);
+      sendError(res, error, 'Failed to fetch fields');
+    }
+  }
+
+  /**
+   * List a table's views
+   */
+  async getViews(req, res) {
+    try {
+      const table = await findTable(req);
+
+      if (!table) {
+        return res.status(404).json({
+          success: false,
+          error: 'Table not found in Airtable'
+        });
+      }
+
+      res.json({
+        success: true,
+        tableId: table.id,
+        views: table.views
+      });
+
+    } catch (error) {
+      logger.error('Get Airtable views failed:', error);
+      sendError(res, error, 'Failed to fetch views');
+    }
+  }
+}
+
+module.exports = new AirtableController();
@@ -2,6 +2,8 @@ const axios = require('axios');
 const crypto = require('crypto');
 const User = require('../models/User');
 const TokenManager = require('../utils/tokenManager');
+const AirtableService = require('../services/airtableService');
+const AirtableTokenService = require('../services/airtableTokenService');
 const logger = require('../utils/logger');
 
 class AuthController {
@@ -89,13 +91,7 @@ class AuthController {
       const { access_token, refresh_token, expires_in } = tokenResponse.data;
 
       // Get user info from Airtable
-      const userInfoResponse = await axios.get('https://api.airtable.com/v0/meta/whoami', {
-        headers: {
-          'Authorization': `Bearer ${access_token}`
-        }
-      });
-
-      const airtableUser = userInfoResponse.data;
+      const airtableUser = await AirtableService.getCurrentUser(access_token);
 
       // Create or update user in database
       let user = await User.findOne({ airtableUserId: airtableUser.id });
@@ -109,7 +105,9 @@ class AuthController {
         tokenExpiresAt: new Date(Date.now() + (expires_in * 1000)),
         airtableScopes: (process.env.AIRTABLE_SCOPE || '').split(' '),
         lastLoginAt: new Date(),
-        isActive: true
+        isActive: true,
+        needsReauth: false,
+        tokenRefreshError: null
       };
 
       if (user) {
@@ -180,33 +178,16 @@ class AuthController {
         });
       }
 
-      // Exchange refresh token for new access token
-      const tokenResponse = await axios.post(
-        'https://airtable.com/oauth2/v1/token',
-        new URLSearchParams({
-          grant_type: 'refresh_token',
-          refresh_token: refreshToken,
-          client_id: process.env.AIRTABLE_CLIENT_ID,
-          client_secret: process.env.AIRTABLE_CLIENT_SECRET
-        }),
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        }
-      );
-
-      const { access_token, refresh_token, expires_in } = tokenResponse.data;
+      // Exchange refresh token through the shared, per-user serialized refresh
+      await AirtableTokenService.refreshUser(user);
 
-      // Update user tokens
-      user.accessToken = access_token;
-      user.refreshToken = refresh_token;
-      user.tokenExpiresAt = new Date(Date.now() + (expires_in * 1000));
       user.lastLoginAt = new Date();
       await user.save();
 
+      const expires_in = Math.round((user.tokenExpiresAt.getTime() - Date.now()) / 1000);
+
       // Generate new app token
-      const appToken = this.tokenManager.generateToken(user);
+      const appToken = TokenManager.generateToken(user);
 
       res.json({
         success: true,
@@ -292,14 +273,6 @@ class AuthController {
         });
       }
 
-      // Check if token needs refresh
-      if (user.isTokenExpired()) {
-        return res.status(401).json({
-          success: false,
-          error: 'Token expired, please reauthenticate'
-        });
-      }
-
       res.json({
         success: true,
         user: user.getSafeProfile()
@@ -1,9 +1,26 @@
+const crypto = require('crypto');
 const Form = require('../models/Form');
 const AirtableService = require('../services/airtableService');
 const ConditionalLogic = require('../services/conditionalLogic');
 const FormValidator = require('../services/formValidation');
+const LinkedRecordService = require('../services/linkedRecordService');
+const OptionSourceService = require('../services/optionSourceService');
+const FormGenerator = require('../services/formGenerator');
+const SchemaDriftService = require('../services/schemaDriftService');
+const WebhookManager = require('../services/webhookManager');
+const RespondentIdentity = require('../services/respondentIdentity');
 const logger = require('../utils/logger');
 
+/**
+ * Keep the table's webhook in step with the form in the background;
+ * a webhook failure never fails the form operation itself
+ */
+const reconcileWebhook = (form) => {
+  WebhookManager.reconcile(form.airtableBaseId, form.airtableTableId, form.userId).catch(error => {
+    logger.warn(`Webhook update for form ${form._id} failed:`, error.message);
+  });
+};
+
 class FormController {
   /**
    * Get all forms for current user
@@ -61,6 +78,8 @@ class FormController {
         airtableBaseId,
         airtableTableId,
         questions,
+        pages,
+        rules,
         settings
       } = req.body;
 
@@ -74,7 +93,7 @@ class FormController {
 
       // Get user to access Airtable API
       const user = await require('../models/User').findById(req.user.userId);
-      if (!user || user.isTokenExpired()) {
+      if (!user || user.needsReauth) {
         return res.status(401).json({
           success: false,
           error: 'User token expired, please reauthenticate'
@@ -82,7 +101,7 @@ class FormController {
       }
 
       // Fetch table details from Airtable to validate
-      const tables = await AirtableService.getBaseTables(user.accessToken, airtableBaseId);
+      const tables = await AirtableService.getBaseTables(user, airtableBaseId);
       const table = tables.find(t => t.id === airtableTableId);
       
       if (!table) {
@@ -93,7 +112,7 @@ class FormController {
       }
 
       // Validate questions against Airtable fields
-      const validationResult = FormValidator.validateQuestions(questions, table.fields);
+      const validationResult = FormValidator.validateQuestions(questions, table.fields, tables);
       
       if (!validationResult.valid) {
         return res.status(400).json({
@@ -103,12 +122,35 @@ class FormController {
         });
       }
 
+      if (settings?.sync) {
+        const syncValidation = FormValidator.validateSyncSettings(settings.sync, questions, table.fields);
+
+        if (!syncValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid sync settings',
+            details: syncValidation.errors
+          });
+        }
+      }
+
+      if (settings?.respondentIdentity) {
+        const identityValidation = FormValidator.validateRespondentIdentity(settings.respondentIdentity, questions);
+
+        if (!identityValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid respondent identity settings',
+            details: identityValidation.errors
+          });
+        }
+      }
+
       // Validate conditional logic
       const conditionalErrors = [];
       questions.forEach((question, index) => {
         if (question.conditionalRules) {
-          const availableKeys = questions.map(q => q.questionKey);
-          const validation = ConditionalLogic.validateRules(question.conditionalRules, availableKeys);
+          const validation = ConditionalLogic.validateRules(question.conditionalRules, questions);
           
           if (!validation.valid) {
             conditionalErrors.push({
@@ -138,6 +180,24 @@ class FormController {
         });
       }
 
+      const pageValidation = ConditionalLogic.validatePages(pages, questions);
+      if (!pageValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid pages',
+          details: pageValidation.errors
+        });
+      }
+
+      const rulesValidation = ConditionalLogic.validateActionRules(rules, questions);
+      if (!rulesValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid form rules',
+          details: rulesValidation.errors
+        });
+      }
+
       // Create form
       const form = new Form({
         userId: req.user.userId,
@@ -146,15 +206,18 @@ class FormController {
         airtableBaseId,
         airtableTableId,
         airtableTableName: table.name,
-        questions: questions.map((q, index) => ({
+        questions: FormValidator.withAirtableFieldDetails(questions, table.fields).map((q, index) => ({
           ...q,
           order: index
         })),
+        pages: pages || [],
+        rules: rules || [],
         settings: settings || {},
         publishedAt: new Date()
       });
 
       await form.save();
+      reconcileWebhook(form);
 
       res.status(201).json({
         success: true,
@@ -171,6 +234,88 @@ class FormController {
     }
   }
 
+  /**
+   * Generate an unpublished draft form from an Airtable table (and optional view)
+   */
+  async generateForm(req, res) {
+    try {
+      const { airtableBaseId, airtableTableId, viewId, title, description } = req.body;
+
+      if (!airtableBaseId || !airtableTableId) {
+        return res.status(400).json({
+          success: false,
+          error: 'airtableBaseId and airtableTableId are required'
+        });
+      }
+
+      const user = await require('../models/User').findById(req.user.userId);
+      if (!user || user.needsReauth) {
+        return res.status(401).json({
+          success: false,
+          error: 'User token expired, please reauthenticate'
+        });
+      }
+
+      const tables = await AirtableService.getBaseTables(user, airtableBaseId);
+      const table = tables.find(t => t.id === airtableTableId);
+
+      if (!table) {
+        return res.status(404).json({
+          success: false,
+          error: 'Table not found in Airtable'
+        });
+      }
+
+      let generated;
+      try {
+        generated = FormGenerator.generateQuestions(table, { viewId });
+      } catch (generateError) {
+        return res.status(400).json({
+          success: false,
+          error: generateError.message
+        });
+      }
+
+      const { questions, skippedFields, view } = generated;
+
+      if (questions.length === 0) {
+        return res.status(422).json({
+          success: false,
+          error: 'Table has no fields that can be used as questions',
+          skippedFields
+        });
+      }
+
+      const form = new Form({
+        userId: req.user.userId,
+        title: title || (view ? `${table.name} (${view.name})` : table.name),
+        description: description || table.description || '',
+        airtableBaseId,
+        airtableTableId,
+        airtableTableName: table.name,
+        questions,
+        publishedAt: null
+      });
+
+      await form.save();
+
+      res.status(201).json({
+        success: true,
+        form: form.toJSON(),
+        skippedFields,
+        message: 'Draft form generated successfully'
+      });
+
+    } catch (error) {
+      logger.error('Generate form failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate form',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Get form by ID
    */
@@ -237,11 +382,15 @@ class FormController {
         });
       }
 
-      // Validate updates if questions are being modified
-      if (updates.questions) {
+      const sourceFieldId = updates.settings?.sync?.sourceFieldId;
+      let tables;
+      let table;
+
+      // Questions and the source form field are checked against the live table
+      if (updates.questions || sourceFieldId) {
         // Get user for Airtable access
         const user = await require('../models/User').findById(req.user.userId);
-        if (!user || user.isTokenExpired()) {
+        if (!user || user.needsReauth) {
           return res.status(401).json({
             success: false,
             error: 'User token expired'
@@ -249,8 +398,8 @@ class FormController {
         }
 
         // Fetch table details
-        const tables = await AirtableService.getBaseTables(user.accessToken, form.airtableBaseId);
-        const table = tables.find(t => t.id === form.airtableTableId);
+        tables = await AirtableService.getBaseTables(user, form.airtableBaseId);
+        table = tables.find(t => t.id === form.airtableTableId);
         
         if (!table) {
           return res.status(404).json({
@@ -258,9 +407,12 @@ class FormController {
             error: 'Table not found in Airtable'
           });
         }
+      }
 
+      // Validate updates if questions are being modified
+      if (updates.questions) {
         // Validate questions
-        const validationResult = FormValidator.validateQuestions(updates.questions, table.fields);
+        const validationResult = FormValidator.validateQuestions(updates.questions, table.fields, tables);
         
         if (!validationResult.valid) {
           return res.status(400).json({
@@ -271,12 +423,11 @@ class FormController {
         }
 
         // Validate conditional logic
-        const availableKeys = updates.questions.map(q => q.questionKey);
         const conditionalErrors = [];
         
         updates.questions.forEach((question, index) => {
           if (question.conditionalRules) {
-            const validation = ConditionalLogic.validateRules(question.conditionalRules, availableKeys);
+            const validation = ConditionalLogic.validateRules(question.conditionalRules, updates.questions);
             
             if (!validation.valid) {
               conditionalErrors.push({
@@ -307,12 +458,76 @@ class FormController {
         }
 
         // Update questions with order
-        updates.questions = updates.questions.map((q, index) => ({
+        updates.questions = FormValidator.withAirtableFieldDetails(updates.questions, table.fields).map((q, index) => ({
           ...q,
           order: index
         }));
       }
 
+      if (updates.settings?.sync) {
+        const syncValidation = FormValidator.validateSyncSettings(
+          updates.settings.sync,
+          updates.questions || form.questions,
+          table ? table.fields : []
+        );
+
+        if (!syncValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid sync settings',
+            details: syncValidation.errors
+          });
+        }
+      }
+
+      if (updates.pages || updates.questions) {
+        const pageValidation = ConditionalLogic.validatePages(
+          updates.pages || form.pages,
+          updates.questions || form.questions
+        );
+
+        if (!pageValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid pages',
+            details: pageValidation.errors
+          });
+        }
+      }
+
+      // Re-checked when questions change, as the questions rules act on may be gone
+      if (updates.rules || updates.questions) {
+        const rulesValidation = ConditionalLogic.validateActionRules(
+          updates.rules || form.rules,
+          updates.questions || form.questions
+        );
+
+        if (!rulesValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid form rules',
+            details: rulesValidation.errors
+          });
+        }
+      }
+
+      // Re-checked when questions change, as the identifying question may be gone
+      const identity = updates.settings ? updates.settings.respondentIdentity : form.settings?.respondentIdentity;
+      if (identity && (updates.settings || updates.questions)) {
+        const identityValidation = FormValidator.validateRespondentIdentity(
+          identity,
+          updates.questions || form.questions
+        );
+
+        if (!identityValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid respondent identity settings',
+            details: identityValidation.errors
+          });
+        }
+      }
+
       // Apply updates
       Object.keys(updates).forEach(key => {
         if (key !== '_id' && key !== '__v') {
@@ -323,6 +538,11 @@ class FormController {
       form.version += 1;
       await form.save();
 
+      // The watched fields follow the questions of published forms
+      if (updates.questions && form.publishedAt) {
+        reconcileWebhook(form);
+      }
+
       res.json({
         success: true,
         form: form.toJSON()
@@ -365,6 +585,8 @@ class FormController {
         });
       }
 
+      reconcileWebhook(form);
+
       res.json({
         success: true,
         message: 'Form deleted successfully'
@@ -405,6 +627,8 @@ class FormController {
         });
       }
 
+      reconcileWebhook(form);
+
       res.json({
         success: true,
         form: form.toJSON(),
@@ -446,6 +670,8 @@ class FormController {
         });
       }
 
+      reconcileWebhook(form);
+
       res.json({
         success: true,
         form: form.toJSON(),
@@ -481,6 +707,8 @@ class FormController {
         });
       }
 
+      await OptionSourceService.hydrateForm(form);
+
       // Return minimal data for public viewing
       const publicForm = {
         id: form._id,
@@ -493,17 +721,39 @@ class FormController {
           required: q.required,
           placeholder: q.placeholder,
           helpText: q.helpText,
-          options: q.options,
+          options: q.liveOptions || q.options,
           validationRules: q.validationRules,
+          fieldOptions: q.fieldOptions,
+          pageKey: q.pageKey,
           order: q.order
         })),
+        // The page graph: the client follows the branches to pick the next page
+        pages: form.pages.map(page => ({
+          pageKey: page.pageKey,
+          title: page.title,
+          description: page.description,
+          questionKeys: form.questions
+            .filter(q => q.pageKey === page.pageKey)
+            .map(q => q.questionKey),
+          branches: page.branches
+        })),
+        // Evaluated by the client as the respondent answers, and again on submit
+        rules: form.rules,
         settings: form.settings,
         createdAt: form.createdAt
       };
 
+      // Each load gets its own submission token, so the page must not be cached
+      res.set('Cache-Control', 'no-store');
       res.json({
         success: true,
-        form: publicForm
+        form: publicForm,
+        // Sent back as the Idempotency-Key on submit, so retries don't create duplicates
+        submissionToken: crypto.randomUUID(),
+        // Kept by the browser and sent back as X-Respondent-Token to identify the respondent
+        respondentToken: RespondentIdentity.getSettings(form).strategy === 'browserToken'
+          ? RespondentIdentity.issueToken(form, RespondentIdentity.getRequestToken(req))
+          : undefined
       });
 
     } catch (error) {
@@ -515,6 +765,176 @@ class FormController {
     }
   }
 
+  /**
+   * Search the linked table's records for a linkedRecord question on a published form
+   */
+  async getLinkedRecordOptions(req, res) {
+    try {
+      const { id, questionKey } = req.params;
+      const { search, offset, pageSize } = req.query;
+
+      const form = await Form.findPublished(id);
+
+      if (!form) {
+        return res.status(404).json({
+          success: false,
+          error: 'Form not found or not published'
+        });
+      }
+
+      const question = form.getQuestion(questionKey);
+
+      if (!question || question.type !== 'linkedRecord') {
+        return res.status(404).json({
+          success: false,
+          error: 'Linked record question not found'
+        });
+      }
+
+      const result = await LinkedRecordService.searchOptions(form, question, {
+        search,
+        offset,
+        pageSize
+      });
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      logger.error('Get linked record options failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch linked records'
+      });
+    }
+  }
+
+  /**
+   * Re-fetch live options for a question with an option source
+   */
+  async refreshQuestionOptions(req, res) {
+    try {
+      const { id, questionKey } = req.params;
+
+      const form = await Form.findOne({
+        _id: id,
+        userId: req.user.userId,
+        isActive: true
+      });
+
+      if (!form) {
+        return res.status(404).json({
+          success: false,
+          error: 'Form not found'
+        });
+      }
+
+      const question = form.getQuestion(questionKey);
+
+      if (!question || !question.optionSource || !question.optionSource.tableId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question with an option source not found'
+        });
+      }
+
+      const options = await OptionSourceService.getOptions(form, question, { refresh: true });
+
+      res.json({
+        success: true,
+        options,
+        count: options.length
+      });
+
+    } catch (error) {
+      logger.error('Refresh question options failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to refresh options',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the schema drift report for a form, checking first if there is none yet
+   */
+  async getSchemaDrift(req, res) {
+    try {
+      const form = await Form.findOne({
+        _id: req.params.id,
+        userId: req.user.userId,
+        isActive: true
+      });
+
+      if (!form) {
+        return res.status(404).json({
+          success: false,
+          error: 'Form not found'
+        });
+      }
+
+      const drift = (req.query.refresh === 'true' || !form.schemaDrift?.checkedAt)
+        ? await SchemaDriftService.checkForm(form)
+        : form.schemaDrift;
+
+      res.json({
+        success: true,
+        drift
+      });
+
+    } catch (error) {
+      logger.error('Get schema drift failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get schema drift',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Check a form against its Airtable table now, optionally healing safe changes
+   */
+  async checkSchemaDrift(req, res) {
+    try {
+      const form = await Form.findOne({
+        _id: req.params.id,
+        userId: req.user.userId,
+        isActive: true
+      });
+
+      if (!form) {
+        return res.status(404).json({
+          success: false,
+          error: 'Form not found'
+        });
+      }
+
+      const autoHeal = req.body.autoHeal !== undefined
+        ? req.body.autoHeal === true
+        : !!form.settings.autoHealSchemaDrift;
+
+      const drift = await SchemaDriftService.checkForm(form, { autoHeal });
+
+      res.json({
+        success: true,
+        drift,
+        version: form.version
+      });
+
+    } catch (error) {
+      logger.error('Check schema drift failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check schema drift',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Duplicate form
    */
@@ -548,6 +968,8 @@ class FormController {
           ...q.toObject(),
           _id: undefined
         })),
+        pages: originalForm.pages,
+        rules: originalForm.rules,
         settings: originalForm.settings,
         version: 1
       });
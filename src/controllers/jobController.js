@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const JobQueue = require('../services/jobQueue');
+const logger = require('../utils/logger');
+
+class JobController {
+  /**
+   * List the user's background jobs
+   */
+  async listJobs(req, res) {
+    try {
+      const { page = 1, limit = 20, status, type } = req.query;
+      const skip = (page - 1) * limit;
+
+      const query = { userId: req.user.userId };
+      if (status) {
+        query.status = status;
+      }
+      if (type) {
+        query.type = type;
+      }
+
+      const jobs = await Job.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await Job.countDocuments(query);
+
+      res.json({
+        success: true,
+        jobs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      logger.error('List jobs failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list jobs'
+      });
+    }
+  }
+
+  /**
+   * Job counts by status
+   */
+  async getJobStats(req, res) {
+    try {
+      const stats = await JobQueue.getStats({
+        userId: new mongoose.Types.ObjectId(req.user.userId)
+      });
+
+      res.json({
+        success: true,
+        stats
+      });
+
+    } catch (error) {
+      logger.error('Get job stats failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch job stats'
+      });
+    }
+  }
+
+  /**
+   * Get single job
+   */
+  async getJob(req, res) {
+    try {
+      const job = await Job.findOne({
+        _id: req.params.id,
+        userId: req.user.userId
+      });
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        job
+      });
+
+    } catch (error) {
+      logger.error('Get job failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch job'
+      });
+    }
+  }
+
+  /**
+   * Run a dead or waiting job again now
+   */
+  async retryJob(req, res) {
+    try {
+      const job = await Job.findOne({
+        _id: req.params.id,
+        userId: req.user.userId
+      });
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      const retried = await JobQueue.retry(job);
+
+      if (!retried) {
+        return res.status(409).json({
+          success: false,
+          error: `A ${job.status} job cannot be retried`
+        });
+      }
+
+      res.json({
+        success: true,
+        job: retried,
+        message: 'Job queued for retry'
+      });
+
+    } catch (error) {
+      logger.error('Retry job failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retry job'
+      });
+    }
+  }
+
+  /**
+   * Discard a job that isn't running
+   */
+  async deleteJob(req, res) {
+    try {
+      const job = await Job.findOne({
+        _id: req.params.id,
+        userId: req.user.userId
+      });
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      const result = await JobQueue.discard(job);
+
+      if (result.deletedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'A running job cannot be deleted'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Job deleted successfully'
+      });
+
+    } catch (error) {
+      logger.error('Delete job failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete job'
+      });
+    }
+  }
+}
+
+module.exports = new JobController();
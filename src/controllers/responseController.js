@@ -1,10 +1,40 @@
 const Response = require('../models/Response');
 const Form = require('../models/Form');
 const AirtableService = require('../services/airtableService');
-const ConditionalLogic = require('../services/conditionalLogic');
 const FormValidator = require('../services/formValidation');
+const ConflictResolver = require('../services/conflictResolver');
+const SubmissionService = require('../services/submissionService');
 const logger = require('../utils/logger');
 
+/**
+ * Reply with the outcome of SubmissionService.submit
+ */
+const sendSubmissionResult = (res, result) => {
+  if (result.error) {
+    return res.status(result.status).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  if (result.updated) {
+    return res.json({
+      success: true,
+      response: result.response.toJSON(),
+      syncError: result.syncError,
+      edit: result.edit,
+      message: 'Your previous response was updated'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    response: result.response.toJSON(),
+    edit: result.edit,
+    message: 'Response submitted successfully'
+  });
+};
+
 class ResponseController {
   /**
    * Submit form response
@@ -29,142 +59,325 @@ class ResponseController {
       }
 
       // Validate answers against form definition
-      const validationErrors = [];
-      const processedAnswers = [];
-
-      // Check required fields
-      form.questions.forEach(question => {
-        if (question.required) {
-          const answer = answers[question.questionKey];
-          if (answer === undefined || answer === null || answer === '') {
-            validationErrors.push({
-              questionKey: question.questionKey,
-              error: 'This field is required'
-            });
-          }
-        }
+      const processed = await SubmissionService.processAnswers(form, answers || {});
+
+      if (processed.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: processed.errors
+        });
+      }
+
+      const result = await SubmissionService.submit(form, processed.answers, { req, metadata });
+      sendSubmissionResult(res, result);
+
+    } catch (error) {
+      logger.error('Submit response failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to submit response',
+        message: error.message
       });
+    }
+  }
 
-      // Validate each answer
-      Object.entries(answers).forEach(([questionKey, value]) => {
-        const question = form.getQuestion(questionKey);
-        
-        if (!question) {
-          validationErrors.push({
-            questionKey,
-            error: 'Question not found in form'
-          });
-          return;
-        }
+  /**
+   * Start a draft response that the respondent can resume later.
+   * Answers are validated one by one; required questions may still be empty.
+   */
+  async createDraft(req, res) {
+    try {
+      const { formId } = req.params;
+      const { answers, metadata } = req.body;
 
-        const validation = form.validateAnswer(questionKey, value);
-        if (!validation.isValid) {
-          validationErrors.push({
-            questionKey,
-            error: validation.error
-          });
-          return;
-        }
+      const form = await Form.findOne({
+        _id: formId,
+        isActive: true,
+        publishedAt: { $ne: null }
+      });
 
-        // Apply conditional logic
-        if (question.conditionalRules) {
-          const shouldShow = ConditionalLogic.shouldShowQuestion(
-            question.conditionalRules,
-            answers
-          );
-          
-          if (!shouldShow) {
-            // Question shouldn't be visible, skip it
-            return;
-          }
-        }
+      if (!form) {
+        return res.status(404).json({
+          success: false,
+          error: 'Form not found or not published'
+        });
+      }
+
+      const processed = await SubmissionService.processAnswers(form, answers || {}, { partial: true });
+
+      if (processed.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: processed.errors
+        });
+      }
+
+      const { response, resumeToken } = await SubmissionService.createDraft(form, processed.answers, {
+        req,
+        metadata
+      });
+
+      res.status(201).json({
+        success: true,
+        draft: response.toJSON(),
+        resumeToken,
+        resumeUrl: SubmissionService.getResumeUrl(form, resumeToken),
+        expiresAt: response.draft.expiresAt,
+        message: 'Draft saved'
+      });
+
+    } catch (error) {
+      logger.error('Create draft failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save draft',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Resume a draft with its resume token
+   */
+  async getDraft(req, res) {
+    try {
+      const draft = await SubmissionService.findDraft(SubmissionService.getResumeToken(req));
+
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          error: 'Draft not found or expired'
+        });
+      }
+
+      res.json({
+        success: true,
+        draft: draft.toJSON(),
+        expiresAt: draft.draft.expiresAt
+      });
 
-        processedAnswers.push({
-          questionKey,
-          value,
-          submittedAt: new Date()
+    } catch (error) {
+      logger.error('Get draft failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch draft'
+      });
+    }
+  }
+
+  /**
+   * Save more answers into a draft; an empty value clears a saved answer
+   */
+  async updateDraft(req, res) {
+    try {
+      const { answers } = req.body;
+
+      const draft = await SubmissionService.findDraft(SubmissionService.getResumeToken(req));
+
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          error: 'Draft not found or expired'
         });
+      }
+
+      const form = await Form.findOne({
+        _id: draft.formId,
+        isActive: true,
+        publishedAt: { $ne: null }
       });
 
-      if (validationErrors.length > 0) {
+      if (!form) {
+        return res.status(404).json({
+          success: false,
+          error: 'Form not found or not published'
+        });
+      }
+
+      const processed = await SubmissionService.processAnswers(form, answers || {}, { partial: true });
+
+      if (processed.errors.length > 0) {
         return res.status(400).json({
           success: false,
           error: 'Validation failed',
-          details: validationErrors
+          details: processed.errors
         });
       }
 
-      // Get user for Airtable sync
-      const user = await require('../models/User').findById(form.userId);
-      
-      let airtableRecordId = null;
-      let syncError = null;
+      await SubmissionService.updateDraft(draft, processed.answers);
+
+      res.json({
+        success: true,
+        draft: draft.toJSON(),
+        expiresAt: draft.draft.expiresAt,
+        message: 'Draft saved'
+      });
+
+    } catch (error) {
+      logger.error('Update draft failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save draft',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Submit a draft. Its answers, plus any sent with this request, go through
+   * the same validation and Airtable write as a normal submission.
+   */
+  async submitDraft(req, res) {
+    try {
+      const { answers, metadata } = req.body;
+
+      const draft = await SubmissionService.findDraft(SubmissionService.getResumeToken(req));
+
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          error: 'Draft not found or expired'
+        });
+      }
+
+      const form = await Form.findOne({
+        _id: draft.formId,
+        isActive: true,
+        publishedAt: { $ne: null }
+      });
+
+      if (!form) {
+        return res.status(404).json({
+          success: false,
+          error: 'Form not found or not published'
+        });
+      }
+
+      const saved = Object.fromEntries(draft.answers.map(answer => [answer.questionKey, answer.value]));
+      const processed = await SubmissionService.processAnswers(form, { ...saved, ...answers });
+
+      if (processed.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: processed.errors
+        });
+      }
 
+      // Claimed once the answers are valid, so a rejected submit leaves the draft as it was
+      const claimed = await SubmissionService.claimDraft(draft);
+
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          error: 'This draft is already being submitted'
+        });
+      }
+
+      let result;
       try {
-        // Prepare data for Airtable
-        const airtableFields = {};
-        processedAnswers.forEach(answer => {
-          const question = form.getQuestion(answer.questionKey);
-          if (question) {
-            airtableFields[question.airtableFieldId] = answer.value;
-          }
+        result = await SubmissionService.submit(form, processed.answers, { req, metadata, draft: claimed });
+      } catch (error) {
+        await SubmissionService.releaseDraft(claimed);
+        throw error;
+      }
+
+      if (result.error) {
+        await SubmissionService.releaseDraft(claimed);
+      }
+      sendSubmissionResult(res, result);
+
+    } catch (error) {
+      logger.error('Submit draft failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to submit response',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Load a submitted response through the respondent's edit link
+   */
+  async getEditableResponse(req, res) {
+    try {
+      const editable = await SubmissionService.findEditable(SubmissionService.getEditToken(req));
+
+      if (editable.error) {
+        return res.status(editable.status).json({
+          success: false,
+          error: editable.error
         });
+      }
 
-        // Create record in Airtable
-        const airtableRecord = await AirtableService.createRecord(
-          user.accessToken,
-          form.airtableBaseId,
-          form.airtableTableId,
-          airtableFields
-        );
-
-        airtableRecordId = airtableRecord.id;
-
-      } catch (airtableError) {
-        logger.error('Airtable submission failed:', airtableError);
-        syncError = airtableError.message;
-        // Continue to save response locally even if Airtable fails
-      }
-
-      // Create response in database
-      const response = new Response({
-        formId: form._id,
-        userId: form.userId,
-        airtableRecordId: airtableRecordId || `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        status: airtableRecordId ? 'submitted' : 'failed',
-        answers: processedAnswers,
-        submittedBy: {
-          ip: req.ip,
-          userAgent: req.get('User-Agent'),
-          referrer: req.get('Referer')
-        },
-        syncStatus: {
-          lastSyncedAt: airtableRecordId ? new Date() : null,
-          syncAttempts: 1,
-          syncError
+      const { form, response } = editable;
+
+      // Only the answers; sync details and the submitter's IP stay private
+      res.json({
+        success: true,
+        response: {
+          id: response._id,
+          formId: response.formId,
+          answers: response.answers.map(answer => ({
+            questionKey: answer.questionKey,
+            value: answer.value
+          })),
+          createdAt: response.createdAt,
+          updatedAt: response.updatedAt
         },
-        metadata: metadata || {}
+        editableUntil: SubmissionService.getEditableUntil(form, response)
       });
 
-      await response.save();
+    } catch (error) {
+      logger.error('Get editable response failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch response'
+      });
+    }
+  }
+
+  /**
+   * Save a respondent's edits made through their edit link
+   */
+  async editResponse(req, res) {
+    try {
+      const { answers } = req.body;
 
-      // If Airtable submission failed, queue for retry
-      if (!airtableRecordId) {
-        // You might want to queue this for background retry
-        logger.warn(`Response ${response._id} saved locally but Airtable submission failed`);
+      const editable = await SubmissionService.findEditable(SubmissionService.getEditToken(req));
+
+      if (editable.error) {
+        return res.status(editable.status).json({
+          success: false,
+          error: editable.error
+        });
       }
 
-      res.status(201).json({
+      const result = await SubmissionService.editResponse(editable.form, editable.response, answers || {}, req);
+
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          error: result.error,
+          details: result.details
+        });
+      }
+
+      res.json({
         success: true,
-        response: response.toJSON(),
-        message: 'Response submitted successfully'
+        changes: result.changes,
+        syncError: result.syncError,
+        message: result.changes.length > 0 ? 'Response updated successfully' : 'No changes to save'
       });
 
     } catch (error) {
-      logger.error('Submit response failed:', error);
+      logger.error('Edit response failed:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to submit response',
+        error: 'Failed to update response',
         message: error.message
       });
     }
@@ -360,6 +573,15 @@ class ResponseController {
         });
       }
 
+      if (response.status === 'draft') {
+        return res.status(409).json({
+          success: false,
+          error: 'Drafts can only be changed by the respondent until they are submitted'
+        });
+      }
+
+      let answersChanged = false;
+
       // Validate updates if answers are being modified
       if (updates.answers) {
         const validationErrors = [];
@@ -385,12 +607,7 @@ class ResponseController {
           });
         }
 
-        // Update answers
-        response.answers = updates.answers.map(update => ({
-          questionKey: update.questionKey,
-          value: update.value,
-          submittedAt: new Date()
-        }));
+        answersChanged = SubmissionService.applyAnswerEdits(response, updates.answers);
       }
 
       // Update other fields
@@ -408,9 +625,14 @@ class ResponseController {
 
       await response.save();
 
+      const syncError = answersChanged && !['deleted', 'draft'].includes(response.status)
+        ? await SubmissionService.pushEdits(response)
+        : null;
+
       res.json({
         success: true,
-        response: response.toJSON(),
+        response: (await Response.findById(response._id)).toJSON(),
+        syncError,
         message: 'Response updated successfully'
       });
 
@@ -454,8 +676,18 @@ class ResponseController {
         });
       }
 
+      // Drafts never reached Airtable, so nothing is kept
+      if (response.status === 'draft') {
+        await Response.deleteOne({ _id: response._id });
+        return res.json({
+          success: true,
+          message: 'Draft deleted successfully'
+        });
+      }
+
       // Mark as deleted
       response.status = 'deleted';
+      response.respondentKey = null;
       response.syncStatus.lastSyncedAt = new Date();
       await response.save();
 
@@ -463,9 +695,9 @@ class ResponseController {
       if (req.query.deleteFromAirtable === 'true') {
         try {
           const user = await require('../models/User').findById(form.userId);
-          if (user && !user.isTokenExpired()) {
+          if (user) {
             await AirtableService.deleteRecord(
-              user.accessToken,
+              user,
               form.airtableBaseId,
               form.airtableTableId,
               response.airtableRecordId
@@ -514,7 +746,7 @@ class ResponseController {
       }
 
       // Build query
-      const query = { formId: form._id, status: { $ne: 'deleted' } };
+      const query = { formId: form._id, status: { $nin: ['deleted', 'draft'] } };
       
       if (startDate || endDate) {
         query.createdAt = {};
@@ -653,6 +885,134 @@ class ResponseController {
     }
   }
 
+  /**
+   * List responses with unresolved two-way sync conflicts on the user's forms
+   */
+  async getConflicts(req, res) {
+    try {
+      const formQuery = { userId: req.user.userId, isActive: true };
+      if (req.query.formId) {
+        formQuery._id = req.query.formId;
+      }
+
+      const forms = await Form.find(formQuery).select('_id title');
+
+      const responses = await Response.find({
+        formId: { $in: forms.map(form => form._id) },
+        conflicts: { $elemMatch: { resolvedAt: null } }
+      }).sort({ updatedAt: -1 });
+
+      const conflicts = responses.map(response => ({
+        responseId: response._id,
+        formId: response.formId,
+        formTitle: forms.find(form => form._id.equals(response.formId)).title,
+        airtableRecordId: response.airtableRecordId,
+        conflicts: response.getOpenConflicts()
+      }));
+
+      res.json({
+        success: true,
+        conflicts,
+        total: conflicts.reduce((sum, item) => sum + item.conflicts.length, 0)
+      });
+
+    } catch (error) {
+      logger.error('Get conflicts failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch conflicts'
+      });
+    }
+  }
+
+  /**
+   * Resolve a conflict by keeping the local value, taking Airtable's, or setting a new one
+   */
+  async resolveConflict(req, res) {
+    try {
+      const { responseId, questionKey } = req.params;
+      const { resolution, value } = req.body;
+
+      if (!['local', 'airtable', 'custom'].includes(resolution)) {
+        return res.status(400).json({
+          success: false,
+          error: 'resolution must be one of: local, airtable, custom'
+        });
+      }
+
+      const response = await Response.findById(responseId);
+      
+      if (!response) {
+        return res.status(404).json({
+          success: false,
+          error: 'Response not found'
+        });
+      }
+
+      // Verify user has access
+      const form = await Form.findOne({
+        _id: response.formId,
+        userId: req.user.userId,
+        isActive: true
+      });
+
+      if (!form) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (!response.getOpenConflicts().some(c => c.questionKey === questionKey)) {
+        return res.status(404).json({
+          success: false,
+          error: 'No open conflict for this question'
+        });
+      }
+
+      let customValue;
+      if (resolution === 'custom') {
+        const question = form.getQuestion(questionKey);
+        customValue = question ? FormValidator.sanitizeAnswer(question, value) : value;
+
+        const validation = form.validateAnswer(questionKey, customValue);
+        if (!validation.isValid) {
+          return res.status(400).json({
+            success: false,
+            error: 'Validation failed',
+            details: [{ questionKey, error: validation.error }]
+          });
+        }
+      }
+
+      const conflict = ConflictResolver.resolve(response, questionKey, {
+        resolution,
+        value: customValue,
+        userId: req.user.userId
+      });
+      await response.save();
+
+      // Write the decision to Airtable
+      const syncError = await SubmissionService.pushEdits(response);
+
+      res.json({
+        success: true,
+        conflict,
+        response: (await Response.findById(response._id)).toJSON(),
+        syncError,
+        message: 'Conflict resolved'
+      });
+
+    } catch (error) {
+      logger.error('Resolve conflict failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to resolve conflict',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Helper: Format value for CSV export
    */
@@ -1,39 +1,73 @@
-const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
 const WebhookSyncService = require('../services/webhookSyncService');
+const AirtableService = require('../services/airtableService');
+const WebhookRenewalService = require('../services/webhookRenewalService');
+const WebhookManager = require('../services/webhookManager');
 const logger = require('../utils/logger');
 
+/**
+ * Audit log for notifications that fail verification
+ */
+const rejectDelivery = (req, reason) => {
+  logger.warn(
+    `Rejected webhook delivery (${reason}): webhook=${req.body?.webhook?.id || '-'} ` +
+    `base=${req.body?.base?.id || '-'} ip=${req.ip} userAgent=${req.headers['user-agent'] || '-'}`
+  );
+};
+
 class WebhookController {
   /**
    * Handle incoming Airtable webhooks
    */
   async handleWebhook(req, res) {
     try {
-      const signature = req.headers['x-airtable-webhook-signature'];
-      const payload = JSON.stringify(req.body);
-
-      // Verify signature if secret is configured
-      if (process.env.WEBHOOK_SECRET) {
-        const isValid = WebhookSyncService.verifySignature(payload, signature);
-        
-        if (!isValid) {
-          logger.warn('Invalid webhook signature received');
-          return res.status(401).json({
-            success: false,
-            error: 'Invalid signature'
-          });
-        }
+      const baseId = req.body?.base?.id;
+      const webhookId = req.body?.webhook?.id;
+
+      if (!baseId || !webhookId) {
+        rejectDelivery(req, 'malformed notification');
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid webhook notification'
+        });
       }
 
-      // Process webhook
-      await WebhookSyncService.processWebhook(req.body);
+      const webhook = await Webhook.findActiveByWebhookId(webhookId);
 
-      res.json({
+      if (!webhook || webhook.baseId !== baseId) {
+        rejectDelivery(req, 'unknown webhook');
+        return res.status(404).json({
+          success: false,
+          error: 'Unknown webhook'
+        });
+      }
+
+      const isValid = WebhookSyncService.verifySignature(
+        req.rawBody,
+        req.headers['x-airtable-content-mac'],
+        webhook.macSecret
+      );
+
+      if (!isValid) {
+        rejectDelivery(req, 'invalid MAC');
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid signature'
+        });
+      }
+
+      // Acknowledge right away; the payloads are fetched and applied in the background
+      res.status(200).json({
         success: true,
-        message: 'Webhook processed successfully'
+        message: 'Notification received'
+      });
+
+      WebhookSyncService.processWebhook(req.body).catch(error => {
+        logger.error(`Background processing failed for webhook ${webhookId}:`, error.message);
       });
 
     } catch (error) {
-      logger.error('Webhook processing failed:', error);
+      logger.error('Webhook handling failed:', error);
       
       // Still return 200 to Airtable to prevent retries for invalid payloads
       res.status(200).json({
@@ -59,7 +93,6 @@ class WebhookController {
       }
 
       // Check if user has access to the base
-      const AirtableService = require('../services/airtableService');
       const bases = await AirtableService.getUserBases(user.accessToken);
       const base = bases.find(b => b.id === baseId);
 
@@ -73,31 +106,13 @@ class WebhookController {
       // Create webhook specification
       const webhookSpec = {
         notificationUrl: notificationUrl,
-        specification: {
-          options: {
-            filters: {
-              dataTypes: ["tableData"]
-            }
-          }
-        }
+        specification: WebhookManager.buildSpecification(tableId)
       };
 
       // Register webhook with Airtable
-      const response = await require('axios').post(
-        `https://api.airtable.com/v0/bases/${baseId}/webhooks`,
-        webhookSpec,
-        {
-          headers: {
-            'Authorization': `Bearer ${user.accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      const webhookData = response.data;
+      const webhookData = await AirtableService.createWebhook(user.accessToken, baseId, webhookSpec);
 
       // Store webhook info in database
-      const Webhook = require('../models/Webhook');
       const webhook = new Webhook({
         userId: user.userId,
         baseId,
@@ -106,6 +121,7 @@ class WebhookController {
         macSecret: webhookData.macSecret,
         expirationTime: new Date(webhookData.expirationTime),
         notificationUrl,
+        specification: webhookSpec.specification,
         isActive: true
       });
 
@@ -134,7 +150,6 @@ class WebhookController {
     try {
       const user = req.user;
 
-      const Webhook = require('../models/Webhook');
       const webhooks = await Webhook.find({
         userId: user.userId,
         isActive: true
@@ -142,7 +157,8 @@ class WebhookController {
 
       res.json({
         success: true,
-        webhooks
+        webhooks,
+        unhealthyCount: webhooks.filter(webhook => webhook.status === 'unhealthy').length
       });
 
     } catch (error) {
@@ -162,7 +178,6 @@ class WebhookController {
       const { webhookId } = req.params;
       const user = req.user;
 
-      const Webhook = require('../models/Webhook');
       const webhook = await Webhook.findOne({
         _id: webhookId,
         userId: user.userId,
@@ -176,23 +191,9 @@ class WebhookController {
         });
       }
 
-      // Refresh webhook with Airtable
-      const response = await require('axios').post(
-        `https://api.airtable.com/v0/bases/${webhook.baseId}/webhooks/${webhook.webhookId}/refresh`,
-        {},
-        {
-          headers: {
-            'Authorization': `Bearer ${user.accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      const webhookData = response.data;
-
-      // Update webhook in database
-      webhook.macSecret = webhookData.macSecret;
-      webhook.expirationTime = new Date(webhookData.expirationTime);
+      // Refresh webhook with Airtable; the macSecret is unchanged by a refresh
+      await WebhookRenewalService.refresh(user.accessToken, webhook);
+      webhook.markHealthy();
       await webhook.save();
 
       res.json({
@@ -219,7 +220,6 @@ class WebhookController {
       const { webhookId } = req.params;
       const user = req.user;
 
-      const Webhook = require('../models/Webhook');
       const webhook = await Webhook.findOne({
         _id: webhookId,
         userId: user.userId
@@ -234,14 +234,7 @@ class WebhookController {
 
       // Delete webhook from Airtable
       try {
-        await require('axios').delete(
-          `https://api.airtable.com/v0/bases/${webhook.baseId}/webhooks/${webhook.webhookId}`,
-          {
-            headers: {
-              'Authorization': `Bearer ${user.accessToken}`
-            }
-          }
-        );
+        await AirtableService.deleteWebhook(user.accessToken, webhook.baseId, webhook.webhookId);
       } catch (error) {
         logger.warn('Airtable webhook deletion failed:', error.message);
         // Continue anyway
@@ -299,8 +292,10 @@ class WebhookController {
         });
       }
 
-      // Perform manual sync
-      const result = await WebhookSyncService.syncAllRecordsForForm(formId);
+      // Perform manual sync; ?full=true ignores the watermark and re-reads every record
+      const result = await WebhookSyncService.syncAllRecordsForForm(formId, {
+        full: req.query.full === 'true'
+      });
 
       res.json({
         success: true,
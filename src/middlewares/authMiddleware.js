@@ -1,5 +1,6 @@
 const TokenManager = require('../utils/tokenManager');
 const User = require('../models/User');
+const AirtableTokenService = require('../services/airtableTokenService');
 const logger = require('../utils/logger');
 
 const authMiddleware = async (req, res, next) => {
@@ -36,12 +37,17 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    // Check if Airtable token is expired
-    if (user.isTokenExpired()) {
-      return res.status(401).json({
-        success: false,
-        error: 'Airtable token expired, please reauthenticate'
-      });
+    // Refresh the Airtable token if it has lapsed. Only a rejected refresh token
+    // flags the user for reauth; Airtable calls will fail until they reconnect.
+    let needsReauth = user.needsReauth;
+    try {
+      await AirtableTokenService.getAccessToken(user);
+    } catch (error) {
+      if (error.needsReauth) {
+        needsReauth = true;
+      } else {
+        logger.warn(`Airtable token refresh failed for user ${user._id}:`, error.message);
+      }
     }
 
     // Attach user to request
@@ -49,7 +55,8 @@ const authMiddleware = async (req, res, next) => {
       userId: user._id,
       email: user.email,
       airtableUserId: user.airtableUserId,
-      accessToken: user.accessToken
+      accessToken: user.accessToken,
+      needsReauth
     };
 
     // Refresh JWT if needed
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../utils/logger');
+
+const TTL_MS = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const WAIT_MS = (parseInt(process.env.IDEMPOTENCY_WAIT_SECONDS) || 10) * 1000;
+const LOCK_MS = (parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60) * 1000;
+const POLL_MS = 250;
+const MAX_KEY_LENGTH = 255;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Credentials sent outside the body, which must match for a replay as much as the body does
+const CREDENTIAL_HEADERS = ['X-Resume-Token'];
+
+const hashRequest = (req) => {
+  const { submissionToken, ...rest } = req.body || {};
+  const hash = crypto.createHash('sha256').update(JSON.stringify(rest));
+
+  CREDENTIAL_HEADERS.forEach(header => {
+    const value = req.get(header);
+    if (value) {
+      hash.update(`\n${header}:${value}`);
+    }
+  });
+  return hash.digest('hex');
+};
+
+/**
+ * Take the key for this attempt: a new key, or one whose previous attempt was abandoned
+ * @returns {Object|null} - The claimed record, or null if another attempt holds it
+ */
+const claim = async (scope, key, requestHash) => {
+  const now = Date.now();
+  const lease = {
+    lockedUntil: new Date(now + LOCK_MS),
+    expiresAt: new Date(now + TTL_MS)
+  };
+
+  try {
+    return await IdempotencyKey.create({ scope, key, requestHash, ...lease });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return IdempotencyKey.findOneAndUpdate(
+    { scope, key, requestHash, status: 'processing', lockedUntil: { $lt: new Date(now) } },
+    lease,
+    { new: true }
+  );
+};
+
+/**
+ * Store a successful outcome for replays. Anything else releases the key, so a
+ * corrected or later retry with the same key runs again.
+ */
+const settle = (record, statusCode, body) => {
+  if (statusCode >= 200 && statusCode < 300) {
+    return IdempotencyKey.updateOne(
+      { _id: record._id, status: 'processing' },
+      {
+        status: 'completed',
+        responseStatus: statusCode,
+        responseBody: JSON.parse(JSON.stringify(body)),
+        completedAt: new Date(),
+        lockedUntil: null
+      }
+    );
+  }
+  return IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' });
+};
+
+/**
+ * Make a route safe to retry. Clients send an Idempotency-Key header (or a
+ * submissionToken in the body); a repeated key gets the first attempt's result,
+ * waiting for it if that attempt is still in flight. Requests without a key pass through.
+ */
+const idempotencyMiddleware = async (req, res, next) => {
+  try {
+    const key = req.get('Idempotency-Key') || req.body?.submissionToken;
+
+    if (key === undefined) {
+      return next();
+    }
+
+    if (typeof key !== 'string' || !key.trim() || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Idempotency-Key must be a non-empty string of at most ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const scope = `${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = hashRequest(req);
+    const deadline = Date.now() + WAIT_MS;
+
+    for (;;) {
+      const record = await claim(scope, key, requestHash);
+
+      if (record) {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+          res.json = json;
+          settle(record, res.statusCode, body).catch(error => {
+            logger.error(`Saving idempotent result for ${scope} failed:`, error.message);
+          });
+          return json(body);
+        };
+        return next();
+      }
+
+      const existing = await IdempotencyKey.findOne({ scope, key });
+
+      if (!existing) {
+        // The first attempt failed and released the key; claim it again
+        continue;
+      }
+
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key was already used with a different request'
+        });
+      }
+
+      if (existing.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      if (Date.now() >= deadline) {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      await sleep(POLL_MS);
+    }
+
+  } catch (error) {
+    logger.error('Idempotency check failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process request'
+    });
+  }
+};
+
+module.exports = idempotencyMiddleware;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const FormValidator = require('../services/formValidation');
 
 const conditionSchema = new Schema({
   questionKey: {
@@ -8,13 +9,18 @@ const conditionSchema = new Schema({
   },
   operator: {
     type: String,
-    enum: ['equals', 'notEquals', 'contains', 'notContains', 'greaterThan', 'lessThan'],
+    enum: [
+      'equals', 'notEquals', 'contains', 'notContains',
+      'greaterThan', 'lessThan', 'greaterThanOrEqual', 'lessThanOrEqual', 'between',
+      'isEmpty', 'isNotEmpty', 'in', 'notIn',
+      'startsWith', 'endsWith', 'matchesRegex',
+      'dateBefore', 'dateAfter', 'dateWithin',
+      'countEquals', 'countGreaterThan', 'countLessThan'
+    ],
     required: true
   },
-  value: {
-    type: Schema.Types.Mixed,
-    required: true
-  }
+  // Not used by isEmpty / isNotEmpty; an array for in, notIn and between
+  value: Schema.Types.Mixed
 }, { _id: false });
 
 const conditionalRulesSchema = new Schema({
@@ -26,6 +32,9 @@ const conditionalRulesSchema = new Schema({
   conditions: [conditionSchema]
 }, { _id: false });
 
+// Groups nest, so rules like (A and B) or C can be expressed
+conditionalRulesSchema.add({ groups: [conditionalRulesSchema] });
+
 const questionSchema = new Schema({
   questionKey: {
     type: String,
@@ -35,6 +44,10 @@ const questionSchema = new Schema({
     type: String,
     required: true
   },
+  // Airtable field name when the question was last mapped, used to detect renames
+  airtableFieldName: {
+    type: String
+  },
   label: {
     type: String,
     required: true,
@@ -42,7 +55,11 @@ const questionSchema = new Schema({
   },
   type: {
     type: String,
-    enum: ['shortText', 'longText', 'singleSelect', 'multiSelect', 'attachment'],
+    enum: [
+      'shortText', 'longText', 'singleSelect', 'multiSelect', 'attachment',
+      'number', 'currency', 'percent', 'rating', 'checkbox', 'date', 'dateTime',
+      'email', 'url', 'phoneNumber', 'duration', 'linkedRecord'
+    ],
     required: true
   },
   required: {
@@ -61,7 +78,19 @@ const questionSchema = new Schema({
     value: String,
     label: String
   }],
+  // Pull select options live from another table (optionally a view) instead of `options`
+  optionSource: {
+    tableId: String,
+    viewId: String,
+    labelFieldId: String,
+    valueFieldId: String,
+    cacheTtlSeconds: Number
+  },
   conditionalRules: conditionalRulesSchema,
+  // Page the question is on; required once the form has pages
+  pageKey: {
+    type: String
+  },
   order: {
     type: Number,
     required: true,
@@ -70,10 +99,74 @@ const questionSchema = new Schema({
   validationRules: {
     minLength: Number,
     maxLength: Number,
-    pattern: String
+    pattern: String,
+    min: Number,
+    max: Number
+  },
+  // Type options copied from the Airtable field (precision, symbol, max, dateFormat, timeZone,
+  // durationFormat, linkedTableId, prefersSingleRecordLink)
+  fieldOptions: {
+    type: Schema.Types.Mixed
   }
 }, { _id: false });
 
+// Where to go after a page when its rules match; a branch without rules always matches
+const branchSchema = new Schema({
+  when: conditionalRulesSchema,
+  action: {
+    type: String,
+    enum: ['goToPage', 'endForm'],
+    required: true
+  },
+  targetPageKey: {
+    type: String
+  }
+}, { _id: false });
+
+const pageSchema = new Schema({
+  pageKey: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Tried in order after the page; without a match the next page follows
+  branches: [branchSchema]
+}, { _id: false });
+
+// What a rule does to a question when it matches
+const ruleActionSchema = new Schema({
+  type: {
+    type: String,
+    enum: ['show', 'hide', 'require', 'optional', 'setValue', 'filterOptions', 'disable'],
+    required: true
+  },
+  questionKey: {
+    type: String,
+    required: true
+  },
+  // The answer to set, for setValue
+  value: Schema.Types.Mixed,
+  // Choice values to keep (or drop, with exclude), for filterOptions
+  options: [String],
+  exclude: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// A rule without conditions always applies
+const ruleSchema = new Schema({
+  when: conditionalRulesSchema,
+  actions: [ruleActionSchema]
+}, { _id: false });
+
 const formSchema = new Schema({
   userId: {
     type: Schema.Types.ObjectId,
@@ -106,6 +199,10 @@ const formSchema = new Schema({
     required: true
   },
   questions: [questionSchema],
+  // Pages in order; a form without pages shows all its questions at once
+  pages: [pageSchema],
+  // Run in order on every submission; see ConditionalLogicEngine.evaluateActions
+  rules: [ruleSchema],
   settings: {
     theme: {
       primaryColor: {
@@ -129,11 +226,76 @@ const formSchema = new Schema({
       type: Boolean,
       default: false
     },
+    // How respondents are told apart when only one submission is allowed
+    respondentIdentity: {
+      strategy: {
+        type: String,
+        enum: ['browserToken', 'email', 'answer', 'fingerprint'],
+        default: 'browserToken'
+      },
+      // Question whose answer identifies the respondent, for the answer strategy
+      questionKey: {
+        type: String,
+        default: null
+      },
+      // A repeat submission is rejected, or replaces the respondent's earlier answers
+      onDuplicate: {
+        type: String,
+        enum: ['reject', 'edit'],
+        default: 'reject'
+      }
+    },
+    // Signed links that let respondents correct their answers after submitting
+    respondentEdits: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // How long after submission the link works
+      windowHours: {
+        type: Number,
+        default: 72,
+        min: 1
+      }
+    },
     enableProgressBar: {
       type: Boolean,
       default: true
+    },
+    autoHealSchemaDrift: {
+      type: Boolean,
+      default: false
+    },
+    sync: {
+      // Whether records created directly in Airtable become responses of this form
+      externalRecords: {
+        type: String,
+        enum: ['import', 'ignore'],
+        default: 'import'
+      },
+      // Text field the form's ID is written to, so inbound records can be attributed
+      sourceFieldId: {
+        type: String,
+        default: null
+      },
+      // Which side wins when an answer changed both locally and in Airtable
+      conflictPolicy: {
+        type: String,
+        enum: ['airtable', 'local', 'newest', 'manual'],
+        default: 'airtable'
+      }
     }
   },
+  schemaDrift: {
+    checkedAt: Date,
+    status: {
+      type: String,
+      enum: ['ok', 'drifted', 'error']
+    },
+    issues: [Schema.Types.Mixed],
+    healed: [Schema.Types.Mixed],
+    error: String
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -145,6 +307,14 @@ const formSchema = new Schema({
     type: Number,
     default: 1
   },
+  // Pull sync from Airtable; records modified after the watermark are fetched next time
+  syncState: {
+    watermark: Date,
+    lastRunAt: Date,
+    lastFullSyncAt: Date,
+    lastResult: Schema.Types.Mixed,
+    lastError: String
+  },
   metadata: {
     type: Map,
     of: Schema.Types.Mixed
@@ -172,46 +342,13 @@ formSchema.methods.getQuestion = function(questionKey) {
   return this.questions.find(q => q.questionKey === questionKey);
 };
 
-formSchema.methods.validateAnswer = function(questionKey, answer) {
+formSchema.methods.validateAnswer = function(questionKey, answer, state) {
   const question = this.getQuestion(questionKey);
   if (!question) {
     return { isValid: false, error: 'Question not found' };
   }
 
-  if (question.required && (answer === undefined || answer === null || answer === '')) {
-    return { isValid: false, error: 'This field is required' };
-  }
-
-  // Type-specific validation
-  switch (question.type) {
-    case 'singleSelect':
-      if (answer && !question.options.some(opt => opt.value === answer)) {
-        return { isValid: false, error: 'Invalid selection' };
-      }
-      break;
-    case 'multiSelect':
-      if (answer && (!Array.isArray(answer) || 
-          answer.some(val => !question.options.some(opt => opt.value === val)))) {
-        return { isValid: false, error: 'Invalid selections' };
-      }
-      break;
-    case 'shortText':
-    case 'longText':
-      if (answer && typeof answer !== 'string') {
-        return { isValid: false, error: 'Must be text' };
-      }
-      if (question.validationRules) {
-        if (question.validationRules.minLength && answer.length < question.validationRules.minLength) {
-          return { isValid: false, error: `Minimum ${question.validationRules.minLength} characters required` };
-        }
-        if (question.validationRules.maxLength && answer.length > question.validationRules.maxLength) {
-          return { isValid: false, error: `Maximum ${question.validationRules.maxLength} characters allowed` };
-        }
-      }
-      break;
-  }
-
-  return { isValid: true };
+  return FormValidator.validateAnswer(question, answer, state);
 };
 
 // Static methods
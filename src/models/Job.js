@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const jobSchema = new Schema({
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  // Owner of the data the job touches; jobs are only visible to this user
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'dead'],
+    default: 'pending'
+  },
+  // Only one pending or running job may exist per dedupe key
+  dedupeKey: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String
+  },
+  result: {
+    type: Schema.Types.Mixed
+  },
+  completedAt: {
+    type: Date
+  },
+  deadAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ dedupeKey: 1, status: 1 });
+// At most one queued job per dedupe key, even when two enqueue at once
+// (partial filters with $in need MongoDB 6.0 or later)
+jobSchema.index(
+  { dedupeKey: 1 },
+  {
+    name: 'dedupeKey_1_queued_unique',
+    unique: true,
+    partialFilterExpression: {
+      dedupeKey: { $type: 'string' },
+      status: { $in: ['pending', 'running'] }
+    }
+  }
+);
+// Completed jobs are kept for a week for inspection
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
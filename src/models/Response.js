@@ -18,9 +18,68 @@ const answerSchema = new Schema({
   submittedAt: {
     type: Date,
     default: Date.now
+  },
+  // Last value known to match Airtable; the base for per-field merges
+  syncedValue: {
+    type: Schema.Types.Mixed
+  },
+  localModifiedAt: {
+    type: Date
+  },
+  version: {
+    type: Number,
+    default: 1
+  }
+}, { _id: false });
+
+const conflictSchema = new Schema({
+  questionKey: {
+    type: String,
+    required: true
+  },
+  localValue: {
+    type: Schema.Types.Mixed
+  },
+  airtableValue: {
+    type: Schema.Types.Mixed
+  },
+  baseValue: {
+    type: Schema.Types.Mixed
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolution: {
+    type: String,
+    enum: ['local', 'airtable', 'custom']
+  },
+  resolvedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, { _id: false });
 
+// One respondent edit made through an edit link
+const editSchema = new Schema({
+  editedAt: {
+    type: Date,
+    default: Date.now
+  },
+  changes: [{
+    _id: false,
+    questionKey: String,
+    from: Schema.Types.Mixed,
+    to: Schema.Types.Mixed
+  }],
+  ip: String,
+  userAgent: String
+}, { _id: false });
+
 const responseSchema = new Schema({
   formId: {
     type: Schema.Types.ObjectId,
@@ -33,18 +92,36 @@ const responseSchema = new Schema({
     ref: 'User',
     index: true
   },
+  // Every submitted response has one; drafts get theirs when they are submitted
   airtableRecordId: {
     type: String,
-    required: true,
-    unique: true,
+    required: function() {
+      return this.status !== 'draft';
+    },
     index: true
   },
+  // 'draft' is a partial response a respondent can resume; 'pending' awaits a push to Airtable
   status: {
     type: String,
-    enum: ['pending', 'submitted', 'synced', 'failed', 'deleted'],
+    enum: ['draft', 'pending', 'submitted', 'synced', 'failed', 'deleted'],
     default: 'submitted'
   },
   answers: [answerSchema],
+  conflicts: [conflictSchema],
+  editHistory: [editSchema],
+  // Hash of the respondent's identity, set only on forms allowing one submission per
+  // respondent and cleared when the response is deleted, so the respondent can submit again
+  respondentKey: {
+    type: String,
+    default: null
+  },
+  draft: {
+    resumeTokenHash: String,
+    lastSavedAt: Date,
+    expiresAt: Date,
+    // Set while a submit holds the draft, so a claim whose submit died can be released
+    claimedAt: Date
+  },
   submittedBy: {
     ip: String,
     userAgent: String,
@@ -76,10 +153,28 @@ const responseSchema = new Schema({
 
 // Indexes
 responseSchema.index({ formId: 1, createdAt: -1 });
-responseSchema.index({ airtableRecordId: 1 }, { unique: true });
+// Forms sharing a table can each hold a response for the same record
+// Drafts have no record ID yet, so only responses with one are unique
+responseSchema.index(
+  { formId: 1, airtableRecordId: 1 },
+  { unique: true, partialFilterExpression: { airtableRecordId: { $type: 'string' } } }
+);
 responseSchema.index({ status: 1, createdAt: -1 });
 responseSchema.index({ 'syncStatus.lastSyncedAt': -1 });
 responseSchema.index({ 'answers.questionKey': 1 });
+responseSchema.index({ formId: 1, 'conflicts.resolvedAt': 1 });
+// Enforces one submission per respondent even when two arrive at once; named apart
+// from the earlier non-unique index on the same keys
+responseSchema.index(
+  { formId: 1, respondentKey: 1 },
+  {
+    name: 'formId_1_respondentKey_1_unique',
+    unique: true,
+    partialFilterExpression: { respondentKey: { $type: 'string' } }
+  }
+);
+responseSchema.index({ 'draft.resumeTokenHash': 1 }, { unique: true, sparse: true });
+responseSchema.index({ status: 1, 'draft.expiresAt': 1 });
 
 // Methods
 responseSchema.methods.getAnswer = function(questionKey) {
@@ -91,6 +186,10 @@ responseSchema.methods.getAnswerWithFiles = function(questionKey) {
   return this.answers.find(a => a.questionKey === questionKey);
 };
 
+responseSchema.methods.getOpenConflicts = function() {
+  return this.conflicts.filter(conflict => !conflict.resolvedAt);
+};
+
 responseSchema.methods.updateSyncStatus = function(success, error = null) {
   this.syncStatus.lastSyncedAt = new Date();
   this.syncStatus.syncAttempts += 1;
@@ -125,18 +224,18 @@ responseSchema.statics.findByForm = function(formId, options = {}) {
     .populate('formId', 'title description');
 };
 
-responseSchema.statics.findByAirtableId = function(airtableRecordId) {
-  return this.findOne({ airtableRecordId });
+responseSchema.statics.findByAirtableId = function(airtableRecordId, formId) {
+  return this.findOne(formId ? { airtableRecordId, formId } : { airtableRecordId });
 };
 
 responseSchema.statics.markAsDeleted = function(airtableRecordId) {
-  return this.findOneAndUpdate(
-    { airtableRecordId },
+  return this.updateMany(
+    { airtableRecordId, status: { $ne: 'deleted' } },
     {
       status: 'deleted',
+      respondentKey: null,
       'syncStatus.lastSyncedAt': new Date()
-    },
-    { new: true }
+    }
   );
 };
 
@@ -158,6 +257,37 @@ responseSchema.statics.getStats = async function(formId) {
   }, {});
 };
 
+/**
+ * Drop the unique airtableRecordId index databases created before forms could share
+ * a table, then build the current indexes. It has the same name as today's
+ * non-unique index, so Mongoose can't build that one while it exists.
+ * Safe to run on every startup.
+ * @returns {Boolean} - Whether the old index was dropped
+ */
+responseSchema.statics.dropLegacyIndexes = async function() {
+  // Index builds started on connect fail while the old index exists
+  await this.init().catch(() => {});
+
+  let indexes;
+  try {
+    indexes = await this.collection.indexes();
+  } catch (error) {
+    if (error.codeName === 'NamespaceNotFound') {
+      return false;
+    }
+    throw error;
+  }
+
+  const legacy = indexes.find(index => index.name === 'airtableRecordId_1' && index.unique);
+  if (!legacy) {
+    return false;
+  }
+
+  await this.collection.dropIndex(legacy.name);
+  await this.createIndexes();
+  return true;
+};
+
 const Response = mongoose.model('Response', responseSchema);
 
 module.exports = Response;
\ No newline at end of file
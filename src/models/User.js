@@ -33,6 +33,23 @@ const userSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  needsReauth: {
+    type: Boolean,
+    default: false
+  },
+  tokenRefreshError: {
+    type: String
+  },
+  tokenRefreshedAt: {
+    type: Date
+  },
+  tokenRefreshFailures: {
+    type: Number,
+    default: 0
+  },
+  nextTokenRefreshAt: {
+    type: Date
+  },
   airtableScopes: [{
     type: String
   }],
@@ -64,6 +81,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ tokenExpiresAt: 1, needsReauth: 1 });
 
 // Methods
 userSchema.methods.isTokenExpired = function() {
@@ -82,7 +100,9 @@ userSchema.methods.getSafeProfile = function() {
     displayName: this.displayName,
     profilePicture: this.profilePicture,
     lastLoginAt: this.lastLoginAt,
-    createdAt: this.createdAt
+    createdAt: this.createdAt,
+    needsReauth: this.needsReauth,
+    tokenRefreshError: this.tokenRefreshError || null
   };
 };
 
@@ -92,15 +112,48 @@ userSchema.statics.findByAirtableId = function(airtableUserId) {
 };
 
 userSchema.statics.updateTokens = async function(airtableUserId, tokenData) {
+  const update = {
+    accessToken: tokenData.access_token,
+    tokenExpiresAt: new Date(Date.now() + (tokenData.expires_in * 1000)),
+    needsReauth: false,
+    tokenRefreshError: null,
+    tokenRefreshedAt: new Date(),
+    tokenRefreshFailures: 0,
+    nextTokenRefreshAt: null
+  };
+
+  // Airtable rotates refresh tokens, but keep the old one if none was returned
+  if (tokenData.refresh_token) {
+    update.refreshToken = tokenData.refresh_token;
+  }
+
   return this.findOneAndUpdate(
     { airtableUserId },
+    update,
+    { new: true, upsert: false }
+  );
+};
+
+userSchema.statics.recordTokenRefreshFailure = function(userId, reason, nextAttemptAt) {
+  return this.findByIdAndUpdate(
+    userId,
     {
-      accessToken: tokenData.access_token,
-      refreshToken: tokenData.refresh_token,
-      tokenExpiresAt: new Date(Date.now() + (tokenData.expires_in * 1000)),
-      lastLoginAt: new Date()
+      $inc: { tokenRefreshFailures: 1 },
+      tokenRefreshError: reason,
+      nextTokenRefreshAt: nextAttemptAt
     },
-    { new: true, upsert: false }
+    { new: true }
+  );
+};
+
+userSchema.statics.markNeedsReauth = function(userId, reason) {
+  return this.findByIdAndUpdate(
+    userId,
+    {
+      needsReauth: true,
+      tokenRefreshError: reason || 'Refresh token rejected'
+    },
+    { new: true }
   );
 };
 
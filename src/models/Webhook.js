@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const webhookSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  baseId: {
+    type: String,
+    required: true
+  },
+  tableId: {
+    type: String
+  },
+  webhookId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  macSecret: {
+    type: String,
+    required: true
+  },
+  expirationTime: {
+    type: Date
+  },
+  notificationUrl: {
+    type: String
+  },
+  // Specification sent on creation, reused when the webhook has to be re-created
+  specification: {
+    type: Schema.Types.Mixed
+  },
+  // Created and removed automatically as forms on the table are published and unpublished
+  managed: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    enum: ['healthy', 'unhealthy'],
+    default: 'healthy'
+  },
+  healthError: {
+    type: String
+  },
+  lastCheckedAt: {
+    type: Date
+  },
+  lastRefreshedAt: {
+    type: Date
+  },
+  refreshFailures: {
+    type: Number,
+    default: 0
+  },
+  recreatedAt: {
+    type: Date
+  },
+  // Next payload to fetch from Airtable; payload cursors start at 1
+  cursor: {
+    type: Number,
+    default: 1
+  },
+  lastNotificationAt: {
+    type: Date
+  },
+  lastPayloadAt: {
+    type: Date
+  },
+  lastProcessingError: {
+    type: String
+  },
+  // Lease held by the instance currently applying payloads
+  processingBy: {
+    type: String,
+    default: null
+  },
+  processingUntil: {
+    type: Date,
+    default: null
+  },
+  // Set when a new webhook replaced this one; it is removed once its queued payloads are applied
+  retiringSince: {
+    type: Date,
+    default: null
+  },
+  // A notification came in while another instance held the lease
+  rerunRequested: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.macSecret;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+webhookSchema.index({ baseId: 1, tableId: 1, isActive: 1 });
+webhookSchema.index({ isActive: 1, expirationTime: 1 });
+
+// Methods
+webhookSchema.methods.markHealthy = function() {
+  this.status = 'healthy';
+  this.healthError = null;
+  this.refreshFailures = 0;
+  this.lastCheckedAt = new Date();
+};
+
+webhookSchema.methods.markUnhealthy = function(reason) {
+  this.status = 'unhealthy';
+  this.healthError = reason;
+  this.refreshFailures += 1;
+  this.lastCheckedAt = new Date();
+};
+
+// Static methods
+webhookSchema.statics.findActiveByWebhookId = function(webhookId) {
+  return this.findOne({ webhookId, isActive: true });
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
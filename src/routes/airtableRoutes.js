@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const airtableController = require('../controllers/airtableController');
+const authMiddleware = require('../middlewares/authMiddleware');
+
+router.use(authMiddleware);
+
+// Schema browsing for the form builder (?refresh=true bypasses the cache)
+router.get('/bases', airtableController.getBases);
+router.get('/bases/:baseId/tables', airtableController.getTables);
+router.get('/bases/:baseId/tables/:tableId/fields', airtableController.getFields);
+router.get('/bases/:baseId/tables/:tableId/views', airtableController.getViews);
+
+module.exports = router;
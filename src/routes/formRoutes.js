@@ -3,12 +3,17 @@ const router = express.Router();
 const formController = require('../controllers/formController');
 const authMiddleware = require('../middlewares/authMiddleware');
 
-// Apply auth middleware to all routes
+// Public access (no auth required)
+router.get('/public/:id', formController.getPublicForm);
+router.get('/public/:id/questions/:questionKey/records', formController.getLinkedRecordOptions);
+
+// Apply auth middleware to all remaining routes
 router.use(authMiddleware);
 
 // Form management
 router.get('/', formController.getUserForms);
 router.post('/', formController.createForm);
+router.post('/generate', formController.generateForm);
 router.get('/stats', formController.getFormStats);
 router.get('/:id', formController.getForm);
 router.put('/:id', formController.updateForm);
@@ -16,17 +21,10 @@ router.delete('/:id', formController.deleteForm);
 router.post('/:id/publish', formController.publishForm);
 router.post('/:id/unpublish', formController.unpublishForm);
 router.post('/:id/duplicate', formController.duplicateForm);
+router.post('/:id/questions/:questionKey/options/refresh', formController.refreshQuestionOptions);
 
-// Public access (no auth required)
-router.get('/public/:id', formController.getPublicForm);
-
-// Airtable data fetching (these would be in separate airtableRoutes in full implementation)
-router.get('/:id/bases', async (req, res) => {
-  // Implementation for fetching bases
-});
-
-router.get('/:id/bases/:baseId/tables', async (req, res) => {
-  // Implementation for fetching tables
-});
+// Schema drift
+router.get('/:id/drift', formController.getSchemaDrift);
+router.post('/:id/drift/check', formController.checkSchemaDrift);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const authMiddleware = require('../middlewares/authMiddleware');
+
+router.use(authMiddleware);
+
+router.get('/', jobController.listJobs);
+router.get('/stats', jobController.getJobStats);
+router.get('/:id', jobController.getJob);
+router.post('/:id/retry', jobController.retryJob);
+router.delete('/:id', jobController.deleteJob);
+
+module.exports = router;
@@ -2,13 +2,30 @@ const express = require('express');
 const router = express.Router();
 const responseController = require('../controllers/responseController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const idempotencyMiddleware = require('../middlewares/idempotencyMiddleware');
 
 // Public submission (no auth required)
-router.post('/:formId/submit', responseController.submitResponse);
+router.post('/:formId/submit', idempotencyMiddleware, responseController.submitResponse);
+
+// Save-and-resume drafts (no auth required, the resume token grants access).
+// The token is sent as X-Resume-Token (or resumeToken in the body), keeping it out of request logs
+router.post('/:formId/drafts', responseController.createDraft);
+router.get('/drafts', responseController.getDraft);
+router.patch('/drafts', responseController.updateDraft);
+router.post('/drafts/submit', idempotencyMiddleware, responseController.submitDraft);
+
+// Respondent edit links (no auth required, the signed link grants access).
+// The token is sent as X-Edit-Token (or editToken in the body), keeping it out of request logs
+router.get('/edit', responseController.getEditableResponse);
+router.put('/edit', responseController.editResponse);
 
 // Protected routes
 router.use(authMiddleware);
 
+// Two-way sync conflicts
+router.get('/conflicts', responseController.getConflicts);
+router.post('/:responseId/conflicts/:questionKey/resolve', responseController.resolveConflict);
+
 // Response management
 router.get('/form/:formId', responseController.getFormResponses);
 router.get('/:responseId', responseController.getResponse);
@@ -2,12 +2,24 @@ const http = require('http');
 const app = require('./app');
 const connectDB = require('./config/mongo');
 const logger = require('./utils/logger');
+const TokenRefreshService = require('./services/tokenRefreshService');
+const SchemaDriftService = require('./services/schemaDriftService');
+const WebhookRenewalService = require('./services/webhookRenewalService');
+const WebhookSyncService = require('./services/webhookSyncService');
+const JobQueue = require('./services/jobQueue');
+const SubmissionService = require('./services/submissionService');
+const Response = require('./models/Response');
 
 const PORT = process.env.PORT || 5000;
 
 async function initializeServer() {
   try {
     await connectDB();
+
+    // Schema changes existing databases need before indexes can be built
+    if (await Response.dropLegacyIndexes()) {
+      logger.info('Dropped the unique airtableRecordId index on responses');
+    }
     
     const server = http.createServer(app);
     
@@ -15,6 +27,18 @@ async function initializeServer() {
       logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
     });
 
+    // Background jobs
+    TokenRefreshService.start();
+    SchemaDriftService.start();
+    WebhookRenewalService.start();
+    JobQueue.start();
+    SubmissionService.start();
+
+    // Responses that failed before they had a retry job
+    WebhookSyncService.retryFailedSyncs().catch(error => {
+      logger.error('Queueing failed syncs failed:', error.message);
+    });
+
     process.on('unhandledRejection', (error) => {
       logger.error('Unhandled Rejection:', error);
       process.exit(1);
@@ -0,0 +1,215 @@
+const logger = require('../utils/logger');
+
+const WINDOW_MS = 1000;
+const RETRYABLE_STATUSES = [429, 503];
+
+class AirtableRequestQueue {
+  constructor(options = {}) {
+    this.requestsPerSecond = options.requestsPerSecond ||
+      parseInt(process.env.AIRTABLE_REQUESTS_PER_SECOND) || 5;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+    this.baseBackoffMs = options.baseBackoffMs || 1000;
+    this.maxBackoffMs = options.maxBackoffMs || 30000;
+    this.queues = new Map();
+  }
+
+  /**
+   * Schedule a request on the queue for a base (or 'meta' for base-less calls)
+   * @param {String} key - Queue key, usually the Airtable base ID
+   * @param {Function} requestFn - Function returning a promise for the HTTP call
+   * @returns {Promise} - Resolves with the request result once it succeeds
+   */
+  schedule(key, requestFn) {
+    const queue = this.getQueue(key);
+
+    return new Promise((resolve, reject) => {
+      queue.pending.push({
+        requestFn,
+        resolve,
+        reject,
+        enqueuedAt: Date.now(),
+        attempts: 0
+      });
+      queue.stats.maxDepth = Math.max(queue.stats.maxDepth, queue.pending.length);
+      this.drain(key);
+    });
+  }
+
+  getQueue(key) {
+    if (!this.queues.has(key)) {
+      this.queues.set(key, {
+        pending: [],
+        dispatchedAt: [],
+        inFlight: 0,
+        pausedUntil: 0,
+        timer: null,
+        stats: {
+          dispatched: 0,
+          retried: 0,
+          throttled: 0,
+          failed: 0,
+          totalWaitMs: 0,
+          maxWaitMs: 0,
+          maxDepth: 0
+        }
+      });
+    }
+    return this.queues.get(key);
+  }
+
+  /**
+   * Dispatch as many pending requests as the rate window allows,
+   * then schedule a wake-up for the next free slot.
+   */
+  drain(key) {
+    const queue = this.getQueue(key);
+
+    if (queue.timer) {
+      return;
+    }
+
+    while (queue.pending.length > 0) {
+      const delay = this.getDispatchDelay(queue);
+      if (delay > 0) {
+        queue.timer = setTimeout(() => {
+          queue.timer = null;
+          this.drain(key);
+        }, delay);
+        return;
+      }
+
+      this.dispatch(key, queue, queue.pending.shift());
+    }
+  }
+
+  getDispatchDelay(queue) {
+    const now = Date.now();
+
+    if (queue.pausedUntil > now) {
+      return queue.pausedUntil - now;
+    }
+
+    queue.dispatchedAt = queue.dispatchedAt.filter(time => now - time < WINDOW_MS);
+    if (queue.dispatchedAt.length < this.requestsPerSecond) {
+      return 0;
+    }
+
+    return WINDOW_MS - (now - queue.dispatchedAt[0]);
+  }
+
+  dispatch(key, queue, entry) {
+    const now = Date.now();
+    const waitMs = now - entry.enqueuedAt;
+
+    queue.dispatchedAt.push(now);
+    queue.inFlight += 1;
+    entry.attempts += 1;
+
+    if (entry.attempts === 1) {
+      queue.stats.dispatched += 1;
+      queue.stats.totalWaitMs += waitMs;
+      queue.stats.maxWaitMs = Math.max(queue.stats.maxWaitMs, waitMs);
+    }
+
+    Promise.resolve()
+      .then(() => entry.requestFn())
+      .then(result => {
+        queue.inFlight -= 1;
+        entry.resolve(result);
+      })
+      .catch(error => {
+        queue.inFlight -= 1;
+        const status = error.response?.status;
+
+        if (RETRYABLE_STATUSES.includes(status) && entry.attempts <= this.maxRetries) {
+          const backoff = this.getBackoffDelay(entry.attempts, error.response.headers);
+
+          if (status === 429) {
+            queue.stats.throttled += 1;
+          }
+          queue.stats.retried += 1;
+          queue.pausedUntil = Math.max(queue.pausedUntil, Date.now() + backoff);
+          queue.pending.unshift(entry);
+
+          logger.warn(`Airtable returned ${status} for ${key}, retry ${entry.attempts}/${this.maxRetries} in ${backoff}ms`);
+          this.drain(key);
+          return;
+        }
+
+        queue.stats.failed += 1;
+        entry.reject(error);
+      });
+  }
+
+  /**
+   * Exponential backoff with full jitter, honoring Retry-After when present
+   */
+  getBackoffDelay(attempt, headers = {}) {
+    const retryAfter = parseFloat(headers['retry-after']);
+    if (!isNaN(retryAfter) && retryAfter > 0) {
+      return Math.min(retryAfter * 1000, this.maxBackoffMs);
+    }
+
+    const ceiling = Math.min(this.maxBackoffMs, this.baseBackoffMs * Math.pow(2, attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  /**
+   * Pause a queue until the window reported by Airtable's rate limit headers resets
+   */
+  applyRateLimit(key, remaining, resetSeconds) {
+    if (remaining > 0 || !resetSeconds) {
+      return;
+    }
+
+    const queue = this.getQueue(key);
+    queue.pausedUntil = Math.max(queue.pausedUntil, Date.now() + resetSeconds * 1000);
+  }
+
+  getQueueDepth(key) {
+    const queue = this.queues.get(key);
+    return queue ? queue.pending.length : 0;
+  }
+
+  /**
+   * Snapshot of queue depth and wait times for every base
+   */
+  getStats() {
+    const now = Date.now();
+    const queues = {};
+    let totalPending = 0;
+    let totalInFlight = 0;
+
+    this.queues.forEach((queue, key) => {
+      const oldestPending = queue.pending[0];
+
+      queues[key] = {
+        pending: queue.pending.length,
+        inFlight: queue.inFlight,
+        pausedForMs: Math.max(0, queue.pausedUntil - now),
+        oldestWaitMs: oldestPending ? now - oldestPending.enqueuedAt : 0,
+        avgWaitMs: queue.stats.dispatched > 0
+          ? Math.round(queue.stats.totalWaitMs / queue.stats.dispatched)
+          : 0,
+        maxWaitMs: queue.stats.maxWaitMs,
+        maxDepth: queue.stats.maxDepth,
+        dispatched: queue.stats.dispatched,
+        retried: queue.stats.retried,
+        throttled: queue.stats.throttled,
+        failed: queue.stats.failed
+      };
+
+      totalPending += queue.pending.length;
+      totalInFlight += queue.inFlight;
+    });
+
+    return {
+      requestsPerSecond: this.requestsPerSecond,
+      totalPending,
+      totalInFlight,
+      queues
+    };
+  }
+}
+
+module.exports = AirtableRequestQueue;
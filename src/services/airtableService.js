@@ -3,34 +3,84 @@ const NodeCache = require('node-cache');
 const logger = require('../utils/logger');
 const Form = require('../models/Form');
 const Response = require('../models/Response');
+const AirtableRequestQueue = require('./airtableRequestQueue');
+const AirtableTokenService = require('./airtableTokenService');
+const FieldValueTransformer = require('./fieldValueTransformer');
+const RecordRoutingService = require('./recordRoutingService');
+const JobQueue = require('./jobQueue');
+
+const API_URL = 'https://api.airtable.com/v0';
+const META_QUEUE = 'meta';
+const SYNC_RESPONSE_JOB = 'airtable.syncResponse';
 
 class AirtableService {
   constructor() {
     this.cache = new NodeCache({ stdTTL: 300, checkperiod: 60 });
-    this.rateLimit = {
-      remaining: 5,
-      reset: 0
-    };
+    this.requestQueue = new AirtableRequestQueue();
+    this.rateLimit = {};
+
+    JobQueue.register(SYNC_RESPONSE_JOB, ({ responseId }) => this.runResponseSyncJob(responseId));
   }
 
-  async getUserBases(accessToken) {
-    const cacheKey = `bases:${accessToken.substring(0, 20)}`;
-    const cached = this.cache.get(cacheKey);
+  /**
+   * Send a request to the Airtable API through the per-base request queue
+   * @param {String} baseId - Base the request targets (null for meta endpoints)
+   * @param {Object|String} auth - User document (refreshed transparently) or raw access token
+   * @param {Object} config - Axios request config (method, url, data, params)
+   * @returns {Promise<Object>} - Axios response
+   */
+  async request(baseId, auth, config) {
+    const queueKey = baseId || META_QUEUE;
+    const send = (accessToken) => this.requestQueue.schedule(queueKey, () => axios({
+      ...config,
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        ...(config.data ? { 'Content-Type': 'application/json' } : {})
+      }
+    }));
+
+    let response;
+    try {
+      response = await send(await this.resolveAccessToken(auth));
+    } catch (error) {
+      // A 401 before the recorded expiry means the token was revoked or rotated elsewhere
+      if (error.response?.status !== 401 || typeof auth === 'string') {
+        throw error;
+      }
+
+      const accessToken = await AirtableTokenService.getAccessToken(auth, { forceRefresh: true });
+      response = await send(accessToken);
+    }
+
+    this.updateRateLimit(response.headers, queueKey);
+    return response;
+  }
+
+  resolveAccessToken(auth) {
+    if (typeof auth === 'string') {
+      return auth;
+    }
+    return AirtableTokenService.getAccessToken(auth);
+  }
+
+  getCacheIdentity(auth) {
+    return typeof auth === 'string' ? auth.substring(0, 20) : auth._id.toString();
+  }
+
+  async getUserBases(auth, options = {}) {
+    const cacheKey = `bases:${this.getCacheIdentity(auth)}`;
+    const cached = options.refresh ? null : this.cache.get(cacheKey);
     
     if (cached) {
       return cached;
     }
 
     try {
-      const response = await axios.get('https://api.airtable.com/v0/meta/bases', {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
+      const response = await this.request(null, auth, {
+        method: 'get',
+        url: `${API_URL}/meta/bases`
       });
 
-      this.updateRateLimit(response.headers);
-      
       const bases = response.data.bases.map(base => ({
         id: base.id,
         name: base.name,
@@ -46,30 +96,33 @@ class AirtableService {
     }
   }
 
-  async getBaseTables(accessToken, baseId) {
-    const cacheKey = `tables:${baseId}:${accessToken.substring(0, 20)}`;
-    const cached = this.cache.get(cacheKey);
+  async getBaseTables(auth, baseId, options = {}) {
+    const cacheKey = `tables:${baseId}:${this.getCacheIdentity(auth)}`;
+    const cached = options.refresh ? null : this.cache.get(cacheKey);
     
     if (cached) {
       return cached;
     }
 
     try {
-      const response = await axios.get(`https://api.airtable.com/v0/meta/bases/${baseId}/tables`, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
+      const response = await this.request(baseId, auth, {
+        method: 'get',
+        url: `${API_URL}/meta/bases/${baseId}/tables`,
+        params: { include: ['visibleFieldIds'] }
       });
 
-      this.updateRateLimit(response.headers);
-      
       const tables = response.data.tables.map(table => ({
         id: table.id,
         name: table.name,
         description: table.description || '',
         primaryFieldId: table.primaryFieldId,
-        fields: table.fields.map(field => this.mapAirtableField(field))
+        fields: table.fields.map(field => this.mapAirtableField(field)),
+        views: (table.views || []).map(view => ({
+          id: view.id,
+          name: view.name,
+          type: view.type,
+          visibleFieldIds: view.visibleFieldIds
+        }))
       }));
 
       this.cache.set(cacheKey, tables);
@@ -88,9 +141,20 @@ class AirtableService {
     let mappedType;
     switch (fieldType) {
       case 'singleLineText':
+        mappedType = 'shortText';
+        break;
       case 'email':
       case 'url':
-        mappedType = 'shortText';
+      case 'phoneNumber':
+      case 'number':
+      case 'currency':
+      case 'percent':
+      case 'rating':
+      case 'checkbox':
+      case 'date':
+      case 'dateTime':
+      case 'duration':
+        mappedType = fieldType;
         break;
       case 'multilineText':
       case 'richText':
@@ -105,6 +169,9 @@ class AirtableService {
       case 'multipleAttachments':
         mappedType = 'attachment';
         break;
+      case 'multipleRecordLinks':
+        mappedType = 'linkedRecord';
+        break;
       default:
         mappedType = null; // Unsupported type
     }
@@ -135,26 +202,55 @@ class AirtableService {
         minLength: airtableField.options.minLength,
         pattern: airtableField.options.pattern
       };
+      field.fieldOptions = this.mapFieldOptions(fieldType, airtableField.options);
     }
 
     return field;
   }
 
-  async createRecord(accessToken, baseId, tableId, recordData) {
+  /**
+   * Extract the type options that affect validation and serialization
+   */
+  mapFieldOptions(fieldType, options) {
+    switch (fieldType) {
+      case 'number':
+      case 'percent':
+        return { precision: options.precision };
+      case 'currency':
+        return { precision: options.precision, symbol: options.symbol };
+      case 'rating':
+        return { max: options.max, icon: options.icon };
+      case 'date':
+        return { dateFormat: options.dateFormat?.format };
+      case 'dateTime':
+        return {
+          dateFormat: options.dateFormat?.format,
+          timeFormat: options.timeFormat?.format,
+          timeZone: options.timeZone
+        };
+      case 'duration':
+        return { durationFormat: options.durationFormat };
+      case 'multipleRecordLinks':
+        return {
+          linkedTableId: options.linkedTableId,
+          prefersSingleRecordLink: !!options.prefersSingleRecordLink
+        };
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * @param {Object} options - { typecast } lets Airtable convert values, e.g. add select choices it doesn't have yet
+   */
+  async createRecord(auth, baseId, tableId, recordData, options = {}) {
     try {
-      const response = await axios.post(
-        `https://api.airtable.com/v0/${baseId}/${tableId}`,
-        { fields: recordData },
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const response = await this.request(baseId, auth, {
+        method: 'post',
+        url: `${API_URL}/${baseId}/${tableId}`,
+        data: { fields: recordData, returnFieldsByFieldId: true, ...(options.typecast && { typecast: true }) }
+      });
 
-      this.updateRateLimit(response.headers);
-      
       return {
         id: response.data.id,
         createdTime: response.data.createdTime,
@@ -167,21 +263,17 @@ class AirtableService {
     }
   }
 
-  async updateRecord(accessToken, baseId, tableId, recordId, recordData) {
+  /**
+   * @param {Object} options - { typecast }, as for createRecord
+   */
+  async updateRecord(auth, baseId, tableId, recordId, recordData, options = {}) {
     try {
-      const response = await axios.patch(
-        `https://api.airtable.com/v0/${baseId}/${tableId}/${recordId}`,
-        { fields: recordData },
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const response = await this.request(baseId, auth, {
+        method: 'patch',
+        url: `${API_URL}/${baseId}/${tableId}/${recordId}`,
+        data: { fields: recordData, returnFieldsByFieldId: true, ...(options.typecast && { typecast: true }) }
+      });
 
-      this.updateRateLimit(response.headers);
-      
       return {
         id: response.data.id,
         createdTime: response.data.createdTime,
@@ -194,18 +286,13 @@ class AirtableService {
     }
   }
 
-  async deleteRecord(accessToken, baseId, tableId, recordId) {
+  async deleteRecord(auth, baseId, tableId, recordId) {
     try {
-      const response = await axios.delete(
-        `https://api.airtable.com/v0/${baseId}/${tableId}/${recordId}`,
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`
-          }
-        }
-      );
+      await this.request(baseId, auth, {
+        method: 'delete',
+        url: `${API_URL}/${baseId}/${tableId}/${recordId}`
+      });
 
-      this.updateRateLimit(response.headers);
       return true;
 
     } catch (error) {
@@ -214,26 +301,170 @@ class AirtableService {
     }
   }
 
-  async getRecord(accessToken, baseId, tableId, recordId) {
+  async getRecord(auth, baseId, tableId, recordId) {
     try {
-      const response = await axios.get(
-        `https://api.airtable.com/v0/${baseId}/${tableId}/${recordId}`,
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`
-          }
-        }
-      );
+      const response = await this.request(baseId, auth, {
+        method: 'get',
+        url: `${API_URL}/${baseId}/${tableId}/${recordId}`,
+        params: { returnFieldsByFieldId: true }
+      });
 
-      this.updateRateLimit(response.headers);
       return response.data;
 
     } catch (error) {
+      // The record may have been deleted since it was referenced
+      if (error.response?.status === 404) {
+        return null;
+      }
       logger.error('Failed to get Airtable record:', error.response?.data || error.message);
       throw this.handleAirtableError(error);
     }
   }
 
+  /**
+   * List one page of records from a table
+   * @param {Object} params - Airtable list params (offset, pageSize, view, filterByFormula, fields)
+   * @returns {Object} - { records, offset }
+   */
+  async listRecords(auth, baseId, tableId, params = {}) {
+    try {
+      const response = await this.request(baseId, auth, {
+        method: 'get',
+        url: `${API_URL}/${baseId}/${tableId}`,
+        params
+      });
+
+      return {
+        records: response.data.records,
+        offset: response.data.offset || null
+      };
+
+    } catch (error) {
+      logger.error('Failed to list Airtable records:', error.response?.data || error.message);
+      throw this.handleAirtableError(error);
+    }
+  }
+
+  async getCurrentUser(accessToken) {
+    try {
+      const response = await this.request(null, accessToken, {
+        method: 'get',
+        url: `${API_URL}/meta/whoami`
+      });
+
+      return response.data;
+
+    } catch (error) {
+      logger.error('Failed to fetch Airtable user:', error.response?.data || error.message);
+      throw this.handleAirtableError(error);
+    }
+  }
+
+  async createWebhook(auth, baseId, webhookSpec) {
+    try {
+      const response = await this.request(baseId, auth, {
+        method: 'post',
+        url: `${API_URL}/bases/${baseId}/webhooks`,
+        data: webhookSpec
+      });
+
+      return response.data;
+
+    } catch (error) {
+      logger.error('Failed to create Airtable webhook:', error.response?.data || error.message);
+      throw this.handleAirtableError(error);
+    }
+  }
+
+  async listWebhooks(auth, baseId) {
+    try {
+      const response = await this.request(baseId, auth, {
+        method: 'get',
+        url: `${API_URL}/bases/${baseId}/webhooks`
+      });
+
+      return response.data.webhooks || [];
+
+    } catch (error) {
+      logger.error('Failed to list Airtable webhooks:', error.response?.data || error.message);
+      throw this.handleAirtableError(error);
+    }
+  }
+
+  /**
+   * Re-enable notifications Airtable switched off after repeated delivery failures
+   */
+  async enableWebhookNotifications(auth, baseId, webhookId) {
+    try {
+      await this.request(baseId, auth, {
+        method: 'post',
+        url: `${API_URL}/bases/${baseId}/webhooks/${webhookId}/enableNotifications`,
+        data: { enable: true }
+      });
+
+      return true;
+
+    } catch (error) {
+      logger.error('Failed to enable Airtable webhook notifications:', error.response?.data || error.message);
+      throw this.handleAirtableError(error);
+    }
+  }
+
+  async refreshWebhook(auth, baseId, webhookId) {
+    try {
+      const response = await this.request(baseId, auth, {
+        method: 'post',
+        url: `${API_URL}/bases/${baseId}/webhooks/${webhookId}/refresh`,
+        data: {}
+      });
+
+      return response.data;
+
+    } catch (error) {
+      logger.error('Failed to refresh Airtable webhook:', error.response?.data || error.message);
+      throw this.handleAirtableError(error);
+    }
+  }
+
+  /**
+   * List webhook payloads starting at a cursor
+   * @returns {Object} - { payloads, cursor, mightHaveMore }
+   */
+  async listWebhookPayloads(auth, baseId, webhookId, cursor) {
+    try {
+      const response = await this.request(baseId, auth, {
+        method: 'get',
+        url: `${API_URL}/bases/${baseId}/webhooks/${webhookId}/payloads`,
+        params: cursor ? { cursor } : {}
+      });
+
+      return {
+        payloads: response.data.payloads || [],
+        cursor: response.data.cursor,
+        mightHaveMore: !!response.data.mightHaveMore
+      };
+
+    } catch (error) {
+      logger.error('Failed to list Airtable webhook payloads:', error.response?.data || error.message);
+      throw this.handleAirtableError(error);
+    }
+  }
+
+  async deleteWebhook(auth, baseId, webhookId) {
+    try {
+      await this.request(baseId, auth, {
+        method: 'delete',
+        url: `${API_URL}/bases/${baseId}/webhooks/${webhookId}`
+      });
+
+      return true;
+
+    } catch (error) {
+      logger.error('Failed to delete Airtable webhook:', error.response?.data || error.message);
+      throw this.handleAirtableError(error);
+    }
+  }
+
   async syncResponseToAirtable(responseId) {
     const response = await Response.findById(responseId).populate('formId');
     
@@ -241,46 +472,59 @@ class AirtableService {
       throw new Error('Response not found or deleted');
     }
 
+    if (response.status === 'draft') {
+      throw new Error('Draft responses are written to Airtable when they are submitted');
+    }
+
     const form = response.formId;
     const user = await require('../models/User').findById(form.userId);
     
-    if (!user || user.isTokenExpired()) {
-      throw new Error('User token expired or not found');
+    if (!user) {
+      throw new Error('Form owner not found');
     }
 
     try {
+      // Answers with an open conflict wait for the owner's decision
+      const conflictKeys = new Set(response.getOpenConflicts().map(c => c.questionKey));
+      const answers = response.answers.filter(answer => !conflictKeys.has(answer.questionKey));
+
       // Convert answers to Airtable fields format
-      const airtableFields = {};
-      response.answers.forEach(answer => {
-        const question = form.getQuestion(answer.questionKey);
-        if (question) {
-          airtableFields[question.airtableFieldId] = answer.value;
-        }
-      });
+      const airtableFields = RecordRoutingService.withSourceField(
+        form,
+        FieldValueTransformer.toAirtableFields(form, answers)
+      );
 
       let airtableRecord;
       
-      if (response.status === 'submitted' || response.status === 'failed') {
+      // Responses that never reached Airtable carry a placeholder local_ ID
+      if (response.airtableRecordId.startsWith('local_')) {
         // Create new record
         airtableRecord = await this.createRecord(
-          user.accessToken,
+          user,
           form.airtableBaseId,
           form.airtableTableId,
-          airtableFields
+          airtableFields,
+          { typecast: FieldValueTransformer.needsTypecast(form, answers) }
         );
         
         response.airtableRecordId = airtableRecord.id;
       } else {
         // Update existing record
         airtableRecord = await this.updateRecord(
-          user.accessToken,
+          user,
           form.airtableBaseId,
           form.airtableTableId,
           response.airtableRecordId,
-          airtableFields
+          airtableFields,
+          { typecast: FieldValueTransformer.needsTypecast(form, answers) }
         );
       }
 
+      // Airtable now matches what was pushed
+      answers.forEach(answer => {
+        answer.syncedValue = answer.value;
+      });
+
       await response.updateSyncStatus(true);
       logger.info(`Successfully synced response ${responseId} to Airtable`);
       
@@ -293,47 +537,103 @@ class AirtableService {
     }
   }
 
-  updateRateLimit(headers) {
+  /**
+   * Queue a durable background write of a response to Airtable
+   */
+  queueResponseSync(response) {
+    return JobQueue.enqueue(SYNC_RESPONSE_JOB, { responseId: response._id.toString() }, {
+      userId: response.userId,
+      dedupeKey: this.getResponseSyncKey(response._id)
+    });
+  }
+
+  getResponseSyncKey(responseId) {
+    return `${SYNC_RESPONSE_JOB}:${responseId}`;
+  }
+
+  async runResponseSyncJob(responseId) {
+    const response = await Response.findById(responseId);
+    if (!response || ['deleted', 'draft'].includes(response.status)) {
+      return { skipped: true };
+    }
+
+    const airtableRecord = await this.syncResponseToAirtable(responseId);
+    return { airtableRecordId: airtableRecord.id };
+  }
+
+  updateRateLimit(headers, queueKey = META_QUEUE) {
+    const limit = this.rateLimit[queueKey] || (this.rateLimit[queueKey] = {});
+
     if (headers['ratelimit-remaining']) {
-      this.rateLimit.remaining = parseInt(headers['ratelimit-remaining']);
+      limit.remaining = parseInt(headers['ratelimit-remaining']);
     }
     if (headers['ratelimit-reset']) {
-      this.rateLimit.reset = parseInt(headers['ratelimit-reset']);
+      limit.reset = parseInt(headers['ratelimit-reset']);
+    }
+
+    if (headers['ratelimit-remaining']) {
+      this.requestQueue.applyRateLimit(queueKey, limit.remaining, limit.reset);
     }
   }
 
+  /**
+   * Queue depth and wait times per base, for callers and health checks
+   */
+  getQueueStats() {
+    return this.requestQueue.getStats();
+  }
+
   handleAirtableError(error) {
     if (error.response) {
       const { status, data } = error.response;
+      let message;
       
       switch (status) {
         case 401:
-          return new Error('Airtable authentication failed. Please reconnect your account.');
+          message = 'Airtable authentication failed. Please reconnect your account.';
+          break;
         case 403:
-          return new Error('Permission denied. Check your Airtable API permissions.');
+          message = 'Permission denied. Check your Airtable API permissions.';
+          break;
         case 404:
-          return new Error('Resource not found in Airtable.');
+          message = 'Resource not found in Airtable.';
+          break;
         case 429:
-          return new Error('Rate limit exceeded. Please try again later.');
+          message = 'Rate limit exceeded. Please try again later.';
+          break;
         case 422:
-          return new Error(`Validation error: ${data.error?.message || 'Invalid data'}`);
+          message = `Validation error: ${data.error?.message || 'Invalid data'}`;
+          break;
         default:
-          return new Error(`Airtable API error: ${data.error?.message || 'Unknown error'}`);
+          message = `Airtable API error: ${data.error?.message || 'Unknown error'}`;
       }
+
+      const mapped = new Error(message);
+      mapped.status = status;
+      return mapped;
     }
     
     return error;
   }
 
-  clearCacheForUser(accessToken) {
-    const prefix = accessToken.substring(0, 20);
+  clearCacheForUser(auth) {
+    const identity = this.getCacheIdentity(auth);
     const keys = this.cache.keys();
     keys.forEach(key => {
-      if (key.startsWith(`bases:${prefix}`) || key.startsWith(`tables:${prefix}`)) {
+      if (key === `bases:${identity}` || (key.startsWith('tables:') && key.endsWith(`:${identity}`))) {
         this.cache.del(key);
       }
     });
   }
+
+  /**
+   * Drop cached table schemas for a base for every user, e.g. after field changes
+   */
+  clearTablesCache(baseId) {
+    this.cache.keys()
+      .filter(key => key.startsWith(`tables:${baseId}:`))
+      .forEach(key => this.cache.del(key));
+  }
 }
 
 module.exports = new AirtableService();
\ No newline at end of file
@@ -0,0 +1,147 @@
+const axios = require('axios');
+const User = require('../models/User');
+const { AppError } = require('../middlewares/errorMiddleware');
+const logger = require('../utils/logger');
+
+const TOKEN_URL = 'https://airtable.com/oauth2/v1/token';
+
+class AirtableTokenService {
+  constructor() {
+    // Refresh slightly ahead of expiry so in-flight requests don't race the deadline
+    this.expiryMarginMs = 60 * 1000;
+    this.failureBackoffMs = 60 * 1000;
+    this.maxFailureBackoffMs = 60 * 60 * 1000;
+    this.refreshes = new Map();
+  }
+
+  /**
+   * Exchange a refresh token for a new token set
+   * @param {String} refreshToken - Airtable OAuth refresh token
+   * @returns {Object} - Raw token response (access_token, refresh_token, expires_in)
+   */
+  async exchangeRefreshToken(refreshToken) {
+    const response = await axios.post(
+      TOKEN_URL,
+      new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        client_id: process.env.AIRTABLE_CLIENT_ID,
+        client_secret: process.env.AIRTABLE_CLIENT_SECRET
+      }),
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      }
+    );
+
+    return response.data;
+  }
+
+  isExpiring(user) {
+    return !user.tokenExpiresAt ||
+      user.tokenExpiresAt.getTime() - Date.now() < this.expiryMarginMs;
+  }
+
+  /**
+   * Get a usable access token for a user, refreshing it first if needed
+   * @param {Object} user - User document
+   * @param {Object} options - { forceRefresh } to refresh even if not expiring
+   * @returns {String} - Access token
+   */
+  async getAccessToken(user, options = {}) {
+    if (user.needsReauth) {
+      throw this.reauthError();
+    }
+
+    if (!options.forceRefresh && !this.isExpiring(user)) {
+      return user.accessToken;
+    }
+
+    await this.refreshUser(user);
+    return user.accessToken;
+  }
+
+  /**
+   * Refresh a user's tokens. Concurrent callers for the same user share one exchange,
+   * since Airtable rotates the refresh token on every use.
+   */
+  refreshUser(user) {
+    const key = user._id.toString();
+
+    if (!this.refreshes.has(key)) {
+      const refresh = this.performRefresh(user)
+        .finally(() => this.refreshes.delete(key));
+      this.refreshes.set(key, refresh);
+    }
+
+    return this.refreshes.get(key).then(updated => {
+      this.applyTokens(user, updated);
+      return user;
+    });
+  }
+
+  async performRefresh(user) {
+    const staleAccessToken = user.accessToken;
+
+    // Another request or instance may have rotated the tokens already
+    const current = await User.findById(user._id);
+    if (!current || !current.isActive) {
+      throw this.reauthError();
+    }
+    if (current.needsReauth) {
+      throw this.reauthError();
+    }
+    if (current.accessToken !== staleAccessToken && !this.isExpiring(current)) {
+      return current;
+    }
+
+    let tokenData;
+    try {
+      tokenData = await this.exchangeRefreshToken(current.refreshToken);
+    } catch (error) {
+      if (this.isRefreshTokenRejected(error)) {
+        const reason = error.response.data?.error_description || error.response.data?.error;
+        logger.warn(`Airtable refresh token rejected for user ${current._id}: ${reason}`);
+        await User.markNeedsReauth(current._id, reason);
+        throw this.reauthError();
+      }
+
+      const failures = (current.tokenRefreshFailures || 0) + 1;
+      const backoff = Math.min(this.maxFailureBackoffMs, this.failureBackoffMs * Math.pow(2, failures - 1));
+      await User.recordTokenRefreshFailure(current._id, error.message, new Date(Date.now() + backoff));
+
+      logger.error(`Airtable token refresh failed for user ${current._id} (attempt ${failures}):`, error.response?.data || error.message);
+      throw error;
+    }
+
+    const updated = await User.updateTokens(current.airtableUserId, tokenData);
+    logger.info(`Refreshed Airtable token for user ${current._id}`);
+    return updated;
+  }
+
+  applyTokens(user, updated) {
+    user.accessToken = updated.accessToken;
+    user.refreshToken = updated.refreshToken;
+    user.tokenExpiresAt = updated.tokenExpiresAt;
+    user.needsReauth = updated.needsReauth;
+  }
+
+  /**
+   * Only an invalid_grant response means the refresh token itself is dead;
+   * anything else (network, 5xx, bad client config) is worth retrying later.
+   */
+  isRefreshTokenRejected(error) {
+    const status = error.response?.status;
+    return (status === 400 || status === 401) &&
+      error.response.data?.error === 'invalid_grant';
+  }
+
+  reauthError() {
+    const error = new AppError('Airtable authorization expired, please reconnect your account', 401);
+    error.needsReauth = true;
+    return error;
+  }
+}
+
+module.exports = new AirtableTokenService();
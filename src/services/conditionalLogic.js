@@ -1,81 +1,325 @@
+const vm = require('vm');
+const FormValidator = require('./formValidation');
+const logger = require('../utils/logger');
+
+const NUMERIC_TYPES = ['number', 'currency', 'percent', 'rating', 'duration'];
+const DATE_TYPES = ['date', 'dateTime'];
+const MULTI_VALUE_TYPES = ['multiSelect', 'linkedRecord', 'attachment'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_GROUP_DEPTH = 5;
+const MAX_PATTERN_LENGTH = 200;
+// Longer answers never match a pattern, which bounds the work any one match can take
+const MAX_PATTERN_INPUT_LENGTH = 1000;
+const PATTERN_CACHE_SIZE = 500;
+const PATTERN_TIMEOUT_MS = 50;
+
+// Operators that compare without a value, and the value shape the others expect
+const VALUELESS_OPERATORS = ['isEmpty', 'isNotEmpty'];
+const LIST_OPERATORS = ['in', 'notIn'];
+const DATE_OPERATORS = ['dateBefore', 'dateAfter', 'dateWithin'];
+const COUNT_OPERATORS = ['countEquals', 'countGreaterThan', 'countLessThan'];
+const ACTION_TYPES = ['show', 'hide', 'require', 'optional', 'setValue', 'filterOptions', 'disable'];
+const CHOICE_TYPES = ['singleSelect', 'multiSelect'];
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Whether a repeat that can run more than once (*, +, {n,} or {n,m}) starts at index
+const isRepeat = (pattern, index) => {
+  if (pattern[index] === '*' || pattern[index] === '+') {
+    return true;
+  }
+
+  const range = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+  if (!range) {
+    return false;
+  }
+  return range[2] === undefined ? Number(range[1]) > 1 : range[3] === '' || Number(range[3]) > 1;
+};
+
+/**
+ * Why a pattern could backtrack catastrophically on respondent input, or null if
+ * it can't: a repeated group may not hold a quantifier or alternatives, as in
+ * (a+)+ or (a|aa)*, and backreferences aren't allowed
+ */
+const findUnsafePattern = (pattern) => {
+  const groups = [{ quantified: false, alternation: false }];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const group = groups[groups.length - 1];
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) {
+        return 'backreferences are not allowed';
+      }
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+    } else if (char === '|') {
+      group.alternation = true;
+    } else if (char === ')' && groups.length > 1) {
+      groups.pop();
+      const repeated = isRepeat(pattern, i + 1);
+
+      if (repeated && (group.quantified || group.alternation)) {
+        return 'a repeated group cannot contain quantifiers or alternatives';
+      }
+      const parent = groups[groups.length - 1];
+      parent.quantified = parent.quantified || group.quantified || repeated;
+    } else if (isRepeat(pattern, i)) {
+      group.quantified = true;
+    }
+  }
+
+  return null;
+};
+
+// Patterns are compiled once; unsafe or invalid ones are cached as null and never match
+const patternCache = new Map();
+
+const compilePattern = (pattern) => {
+  if (!patternCache.has(pattern)) {
+    let regex = null;
+    try {
+      regex = findUnsafePattern(pattern) ? null : new RegExp(pattern);
+    } catch (error) {
+      regex = null;
+    }
+
+    if (patternCache.size >= PATTERN_CACHE_SIZE) {
+      patternCache.clear();
+    }
+    patternCache.set(pattern, regex);
+  }
+  return patternCache.get(pattern);
+};
+
+// Overlapping quantifiers (\d*\d*x) can still be slow without nesting, so matches
+// run in a context that can be interrupted rather than on the event loop unbounded
+const patternContext = vm.createContext({ regex: null, input: '' });
+const patternScript = new vm.Script('regex.test(input)');
+
+const testPattern = (regex, input) => {
+  patternContext.regex = regex;
+  patternContext.input = input;
+
+  try {
+    return patternScript.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS }) === true;
+  } catch (error) {
+    logger.warn(`Pattern ${regex} took over ${PATTERN_TIMEOUT_MS}ms and was treated as no match`);
+    return false;
+  } finally {
+    patternContext.input = '';
+  }
+};
+
+const toTime = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  return isNaN(time) ? null : time;
+};
+
 class ConditionalLogicEngine {
   constructor() {
+    // Each operator gets the answer and expected value already coerced to the question's type
     this.operators = {
-      equals: (actual, expected) => actual == expected,
-      notEquals: (actual, expected) => actual != expected,
+      equals: (actual, expected) => this.sameValue(actual, expected),
+      notEquals: (actual, expected) => !this.sameValue(actual, expected),
       contains: (actual, expected) => {
         if (Array.isArray(actual)) {
-          return actual.includes(expected);
+          return actual.some(item => this.sameValue(item, expected));
         }
         if (typeof actual === 'string') {
-          return actual.includes(expected);
+          return actual.includes(String(expected));
         }
         return false;
       },
-      notContains: (actual, expected) => {
-        if (Array.isArray(actual)) {
-          return !actual.includes(expected);
-        }
-        if (typeof actual === 'string') {
-          return !actual.includes(expected);
-        }
-        return true;
+      notContains: (actual, expected) => !this.operators.contains(actual, expected),
+      greaterThan: (actual, expected) => this.compare(actual, expected) > 0,
+      lessThan: (actual, expected) => this.compare(actual, expected) < 0,
+      greaterThanOrEqual: (actual, expected) => this.compare(actual, expected) >= 0,
+      lessThanOrEqual: (actual, expected) => this.compare(actual, expected) <= 0,
+      isEmpty: (actual) => isEmpty(actual),
+      isNotEmpty: (actual) => !isEmpty(actual),
+      in: (actual, expected) => {
+        const actualValues = Array.isArray(actual) ? actual : [actual];
+        return actualValues.some(value => expected.some(item => this.sameValue(value, item)));
       },
-      greaterThan: (actual, expected) => {
-        const numActual = parseFloat(actual);
-        const numExpected = parseFloat(expected);
-        return !isNaN(numActual) && !isNaN(numExpected) && numActual > numExpected;
+      notIn: (actual, expected) => !this.operators.in(actual, expected),
+      between: (actual, [min, max]) => this.compare(actual, min) >= 0 && this.compare(actual, max) <= 0,
+      startsWith: (actual, expected) => typeof actual === 'string' && actual.startsWith(String(expected)),
+      endsWith: (actual, expected) => typeof actual === 'string' && actual.endsWith(String(expected)),
+      matchesRegex: (actual, expected) => {
+        const regex = compilePattern(String(expected));
+        return Boolean(regex) && typeof actual === 'string' && actual.length <= MAX_PATTERN_INPUT_LENGTH &&
+          testPattern(regex, actual);
       },
-      lessThan: (actual, expected) => {
-        const numActual = parseFloat(actual);
-        const numExpected = parseFloat(expected);
-        return !isNaN(numActual) && !isNaN(numExpected) && numActual < numExpected;
-      }
+      dateBefore: (actual, expected) => toTime(actual) !== null && toTime(actual) < toTime(expected),
+      dateAfter: (actual, expected) => toTime(actual) !== null && toTime(actual) > toTime(expected),
+      // Positive days look ahead from now, negative days look back
+      dateWithin: (actual, days) => {
+        const time = toTime(actual);
+        const now = Date.now();
+        const limit = now + days * DAY_MS;
+        return time !== null && time >= Math.min(now, limit) && time <= Math.max(now, limit);
+      },
+      countEquals: (actual, expected) => this.count(actual) === expected,
+      countGreaterThan: (actual, expected) => this.count(actual) > expected,
+      countLessThan: (actual, expected) => this.count(actual) < expected
     };
   }
 
   /**
-   * Evaluate if a question should be shown based on conditional rules
+   * Evaluate if a question should be shown based on conditional rules.
+   * Rules are a group: its conditions and nested groups combined with its logic.
    * @param {Object} rules - Conditional rules object
    * @param {Object} answers - Current answers object
+   * @param {Array} questions - The form's questions, so values compare by question type
    * @returns {boolean} - Whether the question should be shown
    */
-  shouldShowQuestion(rules, answers) {
+  shouldShowQuestion(rules, answers, questions = []) {
     // If no rules, always show
-    if (!rules || !rules.conditions || rules.conditions.length === 0) {
+    if (!rules || (isEmpty(rules.conditions) && isEmpty(rules.groups))) {
       return true;
     }
 
-    // Evaluate each condition
-    const conditionResults = rules.conditions.map(condition => {
-      const answer = answers[condition.questionKey];
-      const operator = this.operators[condition.operator];
-      
-      if (!operator) {
-        console.warn(`Unknown operator: ${condition.operator}`);
-        return false;
-      }
-
-      // Handle missing answers
-      if (answer === undefined || answer === null || answer === '') {
-        return false;
-      }
+    return this.evaluateGroup(rules, answers, questions);
+  }
 
-      try {
-        return operator(answer, condition.value);
-      } catch (error) {
-        console.error(`Error evaluating condition:`, error);
-        return false;
-      }
-    });
+  evaluateGroup(group, answers, questions) {
+    const results = [
+      ...(group.conditions || []).map(condition => this.evaluateCondition(condition, answers, questions)),
+      ...(group.groups || []).map(nested => this.evaluateGroup(nested, answers, questions))
+    ];
 
     // Combine results based on logic operator
-    if (rules.logic === 'OR') {
-      return conditionResults.some(result => result === true);
+    if (group.logic === 'OR') {
+      return results.some(result => result === true);
     }
-    
+
     // Default to AND logic
-    return conditionResults.every(result => result === true);
+    return results.every(result => result === true);
+  }
+
+  evaluateCondition(condition, answers, questions) {
+    const operator = this.operators[condition.operator];
+
+    if (!operator) {
+      logger.warn(`Unknown operator: ${condition.operator}`);
+      return false;
+    }
+
+    const question = questions.find(q => q.questionKey === condition.questionKey);
+    const answer = this.coerce(answers[condition.questionKey], question);
+
+    // Handle missing answers; only the emptiness checks can match them
+    if (isEmpty(answer) && !VALUELESS_OPERATORS.includes(condition.operator)) {
+      return false;
+    }
+
+    try {
+      return operator(answer, this.coerceExpected(condition, question));
+    } catch (error) {
+      logger.error(`Error evaluating condition:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Bring an answer to its question's type so comparisons are strict but
+   * don't trip over "5" vs 5 or "true" vs true
+   */
+  coerce(value, question) {
+    if (isEmpty(value) || !question) {
+      return value;
+    }
+
+    if (NUMERIC_TYPES.includes(question.type)) {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      return isNaN(number) ? null : number;
+    }
+
+    if (question.type === 'checkbox') {
+      return value === true || value === 'true';
+    }
+
+    if (DATE_TYPES.includes(question.type)) {
+      return toTime(value);
+    }
+
+    return value;
+  }
+
+  coerceExpected(condition, question) {
+    const { operator, value } = condition;
+
+    if (LIST_OPERATORS.includes(operator) || operator === 'between') {
+      return value.map(item => this.coerce(item, question));
+    }
+    if (COUNT_OPERATORS.includes(operator) || operator === 'dateWithin') {
+      return Number(value);
+    }
+    if (['startsWith', 'endsWith', 'matchesRegex', 'dateBefore', 'dateAfter'].includes(operator)) {
+      return value;
+    }
+    return this.coerce(value, question);
+  }
+
+  sameValue(a, b) {
+    // Arrays compare as multisets: order doesn't matter, how often an item appears does
+    if (Array.isArray(a) && Array.isArray(b)) {
+      const remaining = [...b];
+
+      return a.length === b.length && a.every(item => {
+        const index = remaining.findIndex(other => this.sameValue(item, other));
+        return index !== -1 && remaining.splice(index, 1).length === 1;
+      });
+    }
+    // Untyped answers (no question to coerce against) compare as text
+    if (typeof a !== typeof b && !Array.isArray(a) && !Array.isArray(b)) {
+      return String(a) === String(b);
+    }
+    return a === b;
+  }
+
+  compare(a, b) {
+    if (typeof a === 'number' || typeof b === 'number') {
+      const numA = typeof a === 'number' ? a : parseFloat(a);
+      const numB = typeof b === 'number' ? b : parseFloat(b);
+      return isNaN(numA) || isNaN(numB) ? NaN : numA - numB;
+    }
+    return String(a).localeCompare(String(b));
+  }
+
+  count(value) {
+    if (Array.isArray(value)) {
+      return value.length;
+    }
+    return isEmpty(value) ? 0 : 1;
+  }
+
+  /**
+   * All conditions of a rule set, including those in nested groups
+   * @param {Object} rules - Conditional rules object
+   * @returns {Array} - Flat array of conditions
+   */
+  getConditions(rules) {
+    if (!rules) {
+      return [];
+    }
+
+    return [
+      ...(rules.conditions || []),
+      ...(rules.groups || []).flatMap(group => this.getConditions(group))
+    ];
   }
 
   /**
@@ -86,14 +330,238 @@ class ConditionalLogicEngine {
    */
   getVisibleQuestions(questions, answers) {
     return questions.filter(question => {
-      return this.shouldShowQuestion(question.conditionalRules, answers);
+      return this.shouldShowQuestion(question.conditionalRules, answers, questions);
+    });
+  }
+
+  /**
+   * Run a form's rules and work out the state of each question. Rules run top to
+   * bottom against the answers as they stand, so a value set by one rule is seen
+   * by the rules below it. Per question the last matching show/hide, require/optional
+   * or disable wins, while each matching filterOptions narrows the choices further.
+   * Without a show or hide, a question's own conditionalRules decide its visibility.
+   * @param {Object} form - Form with questions and rules
+   * @param {Object} answers - Current answers object
+   * @returns {Object} - { answers, states }: the answers with set values applied, and
+   *   per question key { visible, required, disabled, valueSet, options } where
+   *   options is null unless filtered
+   */
+  evaluateActions(form, answers) {
+    const questions = form.questions;
+    const values = { ...answers };
+    const overrides = {};
+
+    (form.rules || []).forEach(rule => {
+      if (!this.shouldShowQuestion(rule.when, values, questions)) {
+        return;
+      }
+
+      rule.actions.forEach(action => {
+        const question = questions.find(q => q.questionKey === action.questionKey);
+        if (!question) {
+          return;
+        }
+
+        const target = overrides[action.questionKey] = overrides[action.questionKey] || {};
+
+        switch (action.type) {
+          case 'show':
+          case 'hide':
+            target.visible = action.type === 'show';
+            break;
+
+          case 'require':
+          case 'optional':
+            target.required = action.type === 'require';
+            break;
+
+          case 'disable':
+            target.disabled = true;
+            break;
+
+          case 'setValue':
+            values[action.questionKey] = action.value;
+            target.valueSet = true;
+            break;
+
+          case 'filterOptions':
+            target.options = (target.options || FormValidator.getOptions(question).map(opt => opt.value))
+              .filter(value => action.options.includes(value) !== Boolean(action.exclude));
+            break;
+        }
+      });
     });
+
+    const states = {};
+
+    questions.forEach(question => {
+      const override = overrides[question.questionKey] || {};
+      const visible = override.visible !== undefined
+        ? override.visible
+        : this.shouldShowQuestion(question.conditionalRules, values, questions);
+      const disabled = Boolean(override.disabled);
+
+      states[question.questionKey] = {
+        visible,
+        // Respondents can't be asked for what they can't see or change
+        required: visible && !disabled && (override.required !== undefined ? override.required : Boolean(question.required)),
+        disabled,
+        valueSet: Boolean(override.valueSet),
+        options: override.options || null
+      };
+    });
+
+    return { answers: values, states };
+  }
+
+  /**
+   * Decide where a respondent goes after a page. Branches are tried in order and
+   * the first whose rules match wins; a branch without rules always matches.
+   * Without a match the form continues to the next page, or ends after the last.
+   * @param {Array} pages - The form's pages in order
+   * @param {String} pageKey - The page being left
+   * @param {Object} answers - Current answers object
+   * @param {Array} questions - The form's questions
+   * @returns {Object} - { action: 'goToPage', pageKey } or { action: 'endForm' }
+   */
+  getNextPage(pages, pageKey, answers, questions = []) {
+    const index = pages.findIndex(page => page.pageKey === pageKey);
+    const page = pages[index];
+
+    const branch = (page?.branches || []).find(b => this.shouldShowQuestion(b.when, answers, questions));
+
+    if (branch && branch.action === 'endForm') {
+      return { action: 'endForm' };
+    }
+    if (branch && branch.action === 'goToPage') {
+      return { action: 'goToPage', pageKey: branch.targetPageKey };
+    }
+
+    const next = pages[index + 1];
+    return next ? { action: 'goToPage', pageKey: next.pageKey } : { action: 'endForm' };
+  }
+
+  /**
+   * Follow the branches from the first page to get the pages a respondent visits.
+   * Each page's branches only see answers from the pages visited so far, so an
+   * answer left on a page an earlier branch skipped can't change the route.
+   * @param {Array} pages - The form's pages in order
+   * @param {Object} answers - Current answers object
+   * @param {Array} questions - The form's questions, which place answers on pages
+   * @returns {Array} - Visited page keys in order
+   */
+  getPagePath(pages, answers, questions = []) {
+    const path = [];
+    const answered = {};
+    let pageKey = pages[0]?.pageKey;
+
+    // Branches only jump forward, but a page is never visited twice regardless
+    while (pageKey && !path.includes(pageKey) && pages.some(page => page.pageKey === pageKey)) {
+      path.push(pageKey);
+
+      questions
+        .filter(question => question.pageKey === pageKey && answers[question.questionKey] !== undefined)
+        .forEach(question => {
+          answered[question.questionKey] = answers[question.questionKey];
+        });
+
+      const next = this.getNextPage(pages, pageKey, answered, questions);
+      pageKey = next.action === 'goToPage' ? next.pageKey : null;
+    }
+
+    return path;
+  }
+
+  /**
+   * Get the questions on the pages a respondent visits. Forms without pages
+   * have a single implicit page holding every question.
+   * @param {Object} form - Form with questions and pages
+   * @param {Object} answers - Current answers object
+   * @returns {Array} - Questions on visited pages
+   */
+  getQuestionsOnPath(form, answers) {
+    if (!form.pages || form.pages.length === 0) {
+      return form.questions;
+    }
+
+    const path = this.getPagePath(form.pages, answers, form.questions);
+    return form.questions.filter(question => path.includes(question.pageKey));
+  }
+
+  /**
+   * Validate the page structure of a form and its branching rules
+   * @param {Array} pages - Pages in order
+   * @param {Array} questions - The form's questions
+   * @returns {Object} - Validation result
+   */
+  validatePages(pages, questions) {
+    if (!pages || pages.length === 0) {
+      const paged = questions.filter(question => question.pageKey);
+      return paged.length > 0
+        ? { valid: false, errors: [`Question "${paged[0].questionKey}" is assigned to a page but the form has no pages.`] }
+        : { valid: true };
+    }
+
+    const errors = [];
+    const pageKeys = pages.map(page => page.pageKey);
+
+    pages.forEach((page, index) => {
+      if (!page.pageKey) {
+        errors.push(`Page ${index}: pageKey is required.`);
+        return;
+      }
+      if (pageKeys.indexOf(page.pageKey) !== index) {
+        errors.push(`Page ${index}: duplicate pageKey "${page.pageKey}".`);
+      }
+
+      // Branch rules can only use answers given on this page or earlier ones
+      const answered = questions.filter(question => pageKeys.slice(0, index + 1).includes(question.pageKey));
+
+      (page.branches || []).forEach((branch, branchIndex) => {
+        const label = `Page "${page.pageKey}" branch ${branchIndex}`;
+
+        if (!['goToPage', 'endForm'].includes(branch.action)) {
+          errors.push(`${label}: action must be goToPage or endForm.`);
+        }
+
+        if (branch.action === 'goToPage') {
+          const targetIndex = pageKeys.indexOf(branch.targetPageKey);
+
+          if (targetIndex === -1) {
+            errors.push(`${label}: target page "${branch.targetPageKey}" not found.`);
+          } else if (targetIndex <= index) {
+            errors.push(`${label}: can only go to a later page.`);
+          }
+        }
+
+        if (branch.when) {
+          const validation = this.validateRules(branch.when, answered);
+          if (!validation.valid) {
+            errors.push(...validation.errors.map(error => `${label}: ${error}`));
+          }
+        }
+      });
+    });
+
+    questions.forEach(question => {
+      if (!question.pageKey) {
+        errors.push(`Question "${question.questionKey}" must be assigned to a page.`);
+      } else if (!pageKeys.includes(question.pageKey)) {
+        errors.push(`Question "${question.questionKey}": page "${question.pageKey}" not found.`);
+      }
+    });
+
+    return {
+      valid: errors.length === 0,
+      errors: errors.length > 0 ? errors : undefined
+    };
   }
 
   /**
    * Validate conditional logic configuration
    * @param {Object} rules - Conditional rules object
-   * @param {Array} availableQuestions - Available question keys for reference
+   * @param {Array} availableQuestions - Questions (or just their keys) the rules may reference;
+   *   with full questions, operators are also checked against the question types
    * @returns {Object} - Validation result
    */
   validateRules(rules, availableQuestions) {
@@ -102,35 +570,169 @@ class ConditionalLogicEngine {
     }
 
     const errors = [];
+    this.validateGroup(rules, availableQuestions, 'Rules', 1, errors);
+
+    return {
+      valid: errors.length === 0,
+      errors: errors.length > 0 ? errors : undefined
+    };
+  }
+
+  validateGroup(group, availableQuestions, label, depth, errors) {
+    if (depth > MAX_GROUP_DEPTH) {
+      errors.push(`${label}: groups can be nested at most ${MAX_GROUP_DEPTH} levels deep.`);
+      return;
+    }
 
     // Check logic operator
-    if (!['AND', 'OR'].includes(rules.logic)) {
-      errors.push('Invalid logic operator. Must be AND or OR.');
+    if (!['AND', 'OR'].includes(group.logic)) {
+      errors.push(`${label}: invalid logic operator. Must be AND or OR.`);
+    }
+
+    const conditions = group.conditions || [];
+    const groups = group.groups || [];
+
+    if (!Array.isArray(conditions) || !Array.isArray(groups)) {
+      errors.push(`${label}: conditions and groups must be arrays.`);
+      return;
+    }
+
+    if (conditions.length === 0 && groups.length === 0) {
+      errors.push(`${label}: at least one condition or group is required.`);
+      return;
+    }
+
+    conditions.forEach((condition, index) => {
+      this.validateCondition(condition, availableQuestions, `${label} condition ${index}`, errors);
+    });
+
+    groups.forEach((nested, index) => {
+      this.validateGroup(nested, availableQuestions, `${label} group ${index}`, depth + 1, errors);
+    });
+  }
+
+  validateCondition(condition, availableQuestions, label, errors) {
+    const { questionKey, operator, value } = condition;
+    const question = availableQuestions.find(q => (typeof q === 'string' ? q : q.questionKey) === questionKey);
+
+    if (!questionKey) {
+      errors.push(`${label}: questionKey is required.`);
+    } else if (!question) {
+      errors.push(`${label}: questionKey "${questionKey}" not found.`);
+    }
+
+    if (!operator) {
+      errors.push(`${label}: operator is required.`);
+      return;
+    }
+    if (!this.operators[operator]) {
+      errors.push(`${label}: invalid operator "${operator}".`);
+      return;
+    }
+
+    const type = typeof question === 'object' ? question.type : null;
+
+    if (type && DATE_OPERATORS.includes(operator) && !DATE_TYPES.includes(type)) {
+      errors.push(`${label}: ${operator} only applies to date questions.`);
+    }
+    if (type && COUNT_OPERATORS.includes(operator) && !MULTI_VALUE_TYPES.includes(type)) {
+      errors.push(`${label}: ${operator} only applies to questions with multiple values.`);
     }
 
-    // Check conditions array
-    if (!Array.isArray(rules.conditions) || rules.conditions.length === 0) {
-      errors.push('Conditions array is required and must not be empty.');
-      return { valid: false, errors };
+    if (VALUELESS_OPERATORS.includes(operator)) {
+      return;
     }
 
-    // Validate each condition
-    rules.conditions.forEach((condition, index) => {
-      if (!condition.questionKey) {
-        errors.push(`Condition ${index}: questionKey is required.`);
-      } else if (!availableQuestions.includes(condition.questionKey)) {
-        errors.push(`Condition ${index}: questionKey "${condition.questionKey}" not found.`);
+    if (value === undefined || value === null) {
+      errors.push(`${label}: value is required.`);
+    } else if (LIST_OPERATORS.includes(operator) && (!Array.isArray(value) || value.length === 0)) {
+      errors.push(`${label}: ${operator} needs a non-empty array of values.`);
+    } else if (operator === 'between' && (!Array.isArray(value) || value.length !== 2)) {
+      errors.push(`${label}: between needs a [min, max] pair.`);
+    } else if ((COUNT_OPERATORS.includes(operator) || operator === 'dateWithin') && !Number.isFinite(Number(value))) {
+      errors.push(`${label}: ${operator} needs a number.`);
+    } else if (['dateBefore', 'dateAfter'].includes(operator) && toTime(value) === null) {
+      errors.push(`${label}: ${operator} needs a valid date.`);
+    } else if (operator === 'matchesRegex') {
+      if (typeof value !== 'string' || value.length > MAX_PATTERN_LENGTH) {
+        errors.push(`${label}: matchesRegex needs a pattern of at most ${MAX_PATTERN_LENGTH} characters.`);
+      } else {
+        try {
+          new RegExp(value);
+
+          const unsafe = findUnsafePattern(value);
+          if (unsafe) {
+            errors.push(`${label}: pattern could be too slow to match (${unsafe}).`);
+          }
+        } catch (error) {
+          errors.push(`${label}: invalid pattern (${error.message}).`);
+        }
       }
+    }
+  }
+
+  /**
+   * Validate a form's rules and their actions
+   * @param {Array} rules - The form's rules
+   * @param {Array} questions - The form's questions
+   * @returns {Object} - Validation result
+   */
+  validateActionRules(rules, questions) {
+    const errors = [];
+
+    (rules || []).forEach((rule, index) => {
+      const label = `Rule ${index}`;
 
-      if (!condition.operator) {
-        errors.push(`Condition ${index}: operator is required.`);
-      } else if (!this.operators[condition.operator]) {
-        errors.push(`Condition ${index}: invalid operator "${condition.operator}".`);
+      if (rule.when) {
+        const validation = this.validateRules(rule.when, questions);
+        if (!validation.valid) {
+          errors.push(...validation.errors.map(error => `${label}: ${error}`));
+        }
       }
 
-      if (condition.value === undefined || condition.value === null) {
-        errors.push(`Condition ${index}: value is required.`);
+      if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+        errors.push(`${label}: at least one action is required.`);
+        return;
       }
+
+      rule.actions.forEach((action, actionIndex) => {
+        const actionLabel = `${label} action ${actionIndex}`;
+        const question = questions.find(q => q.questionKey === action.questionKey);
+
+        if (!ACTION_TYPES.includes(action.type)) {
+          errors.push(`${actionLabel}: type must be one of: ${ACTION_TYPES.join(', ')}.`);
+          return;
+        }
+        if (!question) {
+          errors.push(`${actionLabel}: questionKey "${action.questionKey}" not found.`);
+          return;
+        }
+
+        if (action.type === 'setValue') {
+          const value = FormValidator.sanitizeAnswer(question, action.value);
+          const validation = FormValidator.validateAnswer(question, value, { required: true });
+
+          if (!validation.isValid) {
+            errors.push(`${actionLabel}: invalid value for "${action.questionKey}" (${validation.error}).`);
+          }
+        }
+
+        if (action.type === 'filterOptions') {
+          if (!CHOICE_TYPES.includes(question.type)) {
+            errors.push(`${actionLabel}: filterOptions only applies to select questions.`);
+          } else if (!Array.isArray(action.options) || action.options.length === 0) {
+            errors.push(`${actionLabel}: filterOptions needs a non-empty array of options.`);
+          } else if (!question.optionSource?.tableId) {
+            // Sourced options change over time, so only static choices can be checked
+            const values = (question.options || []).map(opt => opt.value);
+            const unknown = action.options.filter(value => !values.includes(value));
+
+            if (unknown.length > 0) {
+              errors.push(`${actionLabel}: unknown options ${unknown.map(value => `"${value}"`).join(', ')}.`);
+            }
+          }
+        }
+      });
     });
 
     return {
@@ -147,17 +749,15 @@ class ConditionalLogicEngine {
    */
   getDependentQuestions(targetQuestionKey, allQuestions) {
     const dependentQuestions = new Set();
-    
+
     allQuestions.forEach(question => {
-      if (question.conditionalRules && question.conditionalRules.conditions) {
-        question.conditionalRules.conditions.forEach(condition => {
-          if (condition.questionKey === targetQuestionKey) {
-            dependentQuestions.add(question.questionKey);
-          }
-        });
-      }
+      this.getConditions(question.conditionalRules).forEach(condition => {
+        if (condition.questionKey === targetQuestionKey) {
+          dependentQuestions.add(question.questionKey);
+        }
+      });
     });
-    
+
     return Array.from(dependentQuestions);
   }
 
@@ -168,25 +768,23 @@ class ConditionalLogicEngine {
    */
   createDependencyGraph(questions) {
     const graph = {};
-    
+
     questions.forEach(question => {
       graph[question.questionKey] = {
         dependsOn: [],
         dependentBy: []
       };
     });
-    
+
     questions.forEach(question => {
-      if (question.conditionalRules && question.conditionalRules.conditions) {
-        question.conditionalRules.conditions.forEach(condition => {
-          if (graph[condition.questionKey]) {
-            graph[condition.questionKey].dependentBy.push(question.questionKey);
-            graph[question.questionKey].dependsOn.push(condition.questionKey);
-          }
-        });
-      }
+      this.getConditions(question.conditionalRules).forEach(condition => {
+        if (graph[condition.questionKey]) {
+          graph[condition.questionKey].dependentBy.push(question.questionKey);
+          graph[question.questionKey].dependsOn.push(condition.questionKey);
+        }
+      });
     });
-    
+
     return graph;
   }
 
@@ -0,0 +1,201 @@
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+class ConflictResolver {
+  constructor() {
+    this.policies = ['airtable', 'local', 'newest', 'manual'];
+  }
+
+  getPolicy(form) {
+    return form.settings?.sync?.conflictPolicy || 'airtable';
+  }
+
+  /**
+   * Compare answer values; empty values (null, '', []) are all the same
+   */
+  sameValue(a, b) {
+    if (isEmpty(a) || isEmpty(b)) {
+      return isEmpty(a) && isEmpty(b);
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Merge answers read from Airtable into a response, one field at a time.
+   * Each answer's syncedValue is the common base: a field that changed on only
+   * one side takes that side's value; a field that changed on both sides is
+   * settled by the form's conflict policy. Mutates the response document.
+   * @param {Object} form - Form document
+   * @param {Object} response - Response document
+   * @param {Array} incoming - Answers converted from the Airtable record
+   * @param {Object} options - { changedAt } when the Airtable change happened (defaults to now)
+   * @returns {Object} - { changed, needsPush, conflicts }
+   */
+  applyMerge(form, response, incoming, options = {}) {
+    const policy = this.getPolicy(form);
+    const now = new Date();
+    const changedAt = options.changedAt || now;
+    const remote = new Map(incoming.map(answer => [answer.questionKey, answer.value]));
+    const questionKeys = new Set(form.questions.map(q => q.questionKey));
+
+    // Answers for questions that are no longer on the form are kept as they are
+    const answers = response.answers
+      .filter(answer => !questionKeys.has(answer.questionKey))
+      .map(answer => answer.toObject ? answer.toObject() : answer);
+
+    const conflicts = [];
+    let changed = false;
+    let needsPush = false;
+
+    form.questions.forEach(question => {
+      const key = question.questionKey;
+      const local = response.answers.find(answer => answer.questionKey === key);
+      const localValue = local ? local.value : null;
+      // Responses saved before syncedValue existed are assumed to have matched Airtable
+      const baseValue = local && local.syncedValue !== undefined ? local.syncedValue : localValue;
+      const remoteValue = remote.has(key) ? remote.get(key) : null;
+
+      const localChanged = !this.sameValue(localValue, baseValue);
+      const remoteChanged = !this.sameValue(remoteValue, baseValue);
+
+      let value = localValue;
+      let syncedValue = baseValue;
+
+      if (remoteChanged && (!localChanged || this.sameValue(localValue, remoteValue))) {
+        value = remoteValue;
+        syncedValue = remoteValue;
+      } else if (remoteChanged) {
+        const winner = this.pickWinner(policy, local, changedAt);
+
+        if (winner === 'airtable') {
+          value = remoteValue;
+          syncedValue = remoteValue;
+        } else if (winner === 'local') {
+          // Airtable now holds remoteValue; the local value is pushed over it
+          syncedValue = remoteValue;
+          needsPush = true;
+        } else {
+          // Manual: keep both sides untouched until the owner resolves it
+          conflicts.push({
+            questionKey: key,
+            localValue,
+            airtableValue: remoteValue,
+            baseValue,
+            detectedAt: now
+          });
+        }
+      }
+
+      if (!this.sameValue(value, localValue) || !this.sameValue(syncedValue, baseValue) ||
+        (local && local.syncedValue === undefined)) {
+        changed = true;
+      }
+
+      if (!local && isEmpty(value)) {
+        return;
+      }
+
+      answers.push({
+        questionKey: key,
+        value,
+        files: local ? local.files : [],
+        submittedAt: local ? local.submittedAt : now,
+        syncedValue,
+        localModifiedAt: local ? local.localModifiedAt : undefined,
+        version: (local ? local.version || 1 : 0) + (this.sameValue(value, localValue) ? 0 : 1)
+      });
+    });
+
+    response.answers = answers;
+
+    if (conflicts.length > 0 && this.recordConflicts(response, conflicts)) {
+      changed = true;
+    }
+
+    return { changed, needsPush, conflicts };
+  }
+
+  /**
+   * @returns {String} - 'airtable', 'local' or 'manual'
+   */
+  pickWinner(policy, local, changedAt) {
+    if (policy !== 'newest') {
+      return policy;
+    }
+
+    const localChangedAt = local && (local.localModifiedAt || local.submittedAt);
+    return localChangedAt && localChangedAt > changedAt ? 'local' : 'airtable';
+  }
+
+  /**
+   * Add conflicts to a response, replacing any still-open conflict on the same question
+   * @returns {Boolean} - Whether anything new was recorded
+   */
+  recordConflicts(response, conflicts) {
+    let recorded = false;
+
+    conflicts.forEach(conflict => {
+      const open = response.conflicts.find(c => c.questionKey === conflict.questionKey && !c.resolvedAt);
+
+      if (open) {
+        if (this.sameValue(open.airtableValue, conflict.airtableValue) &&
+          this.sameValue(open.localValue, conflict.localValue)) {
+          return;
+        }
+        open.localValue = conflict.localValue;
+        open.airtableValue = conflict.airtableValue;
+        open.detectedAt = conflict.detectedAt;
+      } else {
+        response.conflicts.push(conflict);
+      }
+      recorded = true;
+    });
+
+    return recorded;
+  }
+
+  /**
+   * Settle an open conflict with the local value, the Airtable value or a custom value.
+   * The chosen value becomes a local edit, so it is pushed to Airtable on the next sync.
+   * @param {Object} resolution - { resolution: 'local'|'airtable'|'custom', value, userId }
+   * @returns {Object} - The resolved conflict
+   */
+  resolve(response, questionKey, resolution) {
+    const conflict = response.conflicts.find(c => c.questionKey === questionKey && !c.resolvedAt);
+    if (!conflict) {
+      throw new Error(`No open conflict for question ${questionKey}`);
+    }
+
+    const value = resolution.resolution === 'local' ? conflict.localValue
+      : resolution.resolution === 'airtable' ? conflict.airtableValue
+        : resolution.value;
+
+    const now = new Date();
+    const answer = response.answers.find(a => a.questionKey === questionKey);
+
+    if (answer) {
+      if (!this.sameValue(answer.value, value)) {
+        answer.version = (answer.version || 1) + 1;
+      }
+      answer.value = value;
+      // Airtable holds airtableValue, so that is the new base for the push
+      answer.syncedValue = conflict.airtableValue;
+      answer.localModifiedAt = now;
+    } else {
+      response.answers.push({
+        questionKey,
+        value,
+        syncedValue: conflict.airtableValue,
+        localModifiedAt: now
+      });
+    }
+
+    conflict.resolvedAt = now;
+    conflict.resolution = resolution.resolution;
+    conflict.resolvedBy = resolution.userId;
+    response.markModified('answers');
+    return conflict;
+  }
+}
+
+module.exports = new ConflictResolver();
@@ -0,0 +1,196 @@
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const findOption = (question, predicate) =>
+  (question.liveOptions || question.options || []).find(predicate);
+
+const textConverter = {
+  toAirtable: (value) => String(value),
+  fromAirtable: (cellValue) => String(cellValue)
+};
+
+// Answers store option values (Airtable choice IDs); Airtable cells take choice names
+const singleSelectConverter = {
+  toAirtable: (value, question) => {
+    const option = findOption(question, opt => opt.value === value);
+    return option ? option.label : value;
+  },
+  fromAirtable: (cellValue, question) => {
+    const option = findOption(question, opt => opt.label === cellValue);
+    return option ? option.value : cellValue;
+  }
+};
+
+const multiSelectConverter = {
+  toAirtable: (value, question) => [].concat(value)
+    .map(item => singleSelectConverter.toAirtable(item, question)),
+  fromAirtable: (cellValue, question) => [].concat(cellValue)
+    .map(item => singleSelectConverter.fromAirtable(item, question))
+};
+
+// Airtable only accepts { url, filename } when writing; it adds id, size and type itself
+const attachmentConverter = {
+  toAirtable: (value) => [].concat(value).map(file => ({
+    url: file.url,
+    filename: file.filename
+  })),
+  fromAirtable: (cellValue) => [].concat(cellValue).map(attachment => ({
+    filename: attachment.filename,
+    url: attachment.url,
+    size: attachment.size || 0,
+    type: attachment.type || ''
+  }))
+};
+
+const numberConverter = {
+  toAirtable: (value) => Number(value),
+  fromAirtable: (cellValue) => Number(cellValue)
+};
+
+// Answers are entered as percentages (12.5); Airtable stores fractions (0.125)
+const percentConverter = {
+  toAirtable: (value) => Number(value) / 100,
+  fromAirtable: (cellValue, question) => {
+    const precision = question.fieldOptions?.precision;
+    const digits = precision !== undefined && precision !== null ? precision : 8;
+    return Number((Number(cellValue) * 100).toFixed(digits));
+  }
+};
+
+// Airtable leaves unchecked checkboxes out of records, so false clears the cell
+const checkboxConverter = {
+  toAirtable: (value) => value === true,
+  fromAirtable: (cellValue) => cellValue === true
+};
+
+// Answers are normalized to UTC ISO strings, which is also what Airtable returns
+const dateTimeConverter = {
+  toAirtable: (value) => new Date(value).toISOString(),
+  fromAirtable: (cellValue) => new Date(cellValue).toISOString()
+};
+
+// Linked record cells are arrays of record IDs in both directions
+const linkedRecordConverter = {
+  toAirtable: (value) => [].concat(value),
+  fromAirtable: (cellValue) => [].concat(cellValue)
+};
+
+class FieldValueTransformer {
+  constructor() {
+    this.converters = {
+      shortText: textConverter,
+      longText: textConverter,
+      singleSelect: singleSelectConverter,
+      multiSelect: multiSelectConverter,
+      attachment: attachmentConverter,
+      number: numberConverter,
+      currency: numberConverter,
+      rating: numberConverter,
+      duration: numberConverter,
+      percent: percentConverter,
+      checkbox: checkboxConverter,
+      date: textConverter,
+      dateTime: dateTimeConverter,
+      email: textConverter,
+      url: textConverter,
+      phoneNumber: textConverter,
+      linkedRecord: linkedRecordConverter
+    };
+  }
+
+  /**
+   * Register a converter for a question type
+   * @param {String} type - Question type
+   * @param {Object} converter - { toAirtable(value, question), fromAirtable(cellValue, question) }
+   */
+  register(type, converter) {
+    this.converters[type] = converter;
+  }
+
+  getConverter(question) {
+    const converter = this.converters[question.type];
+    if (!converter) {
+      throw new Error(`No value converter for question type: ${question.type}`);
+    }
+    return converter;
+  }
+
+  /**
+   * Convert an answer value to the Airtable cell format for its question.
+   * fromAirtable(question, toAirtable(question, value)) returns the original value.
+   */
+  toAirtable(question, value) {
+    if (isEmpty(value)) {
+      return null;
+    }
+    return this.getConverter(question).toAirtable(value, question);
+  }
+
+  /**
+   * Convert an Airtable cell value to the answer format for its question
+   */
+  fromAirtable(question, cellValue) {
+    if (isEmpty(cellValue)) {
+      return null;
+    }
+    return this.getConverter(question).fromAirtable(cellValue, question);
+  }
+
+  /**
+   * Build an Airtable fields object (keyed by field ID) from response answers
+   * @param {Object} form - Form document
+   * @param {Array} answers - Array of { questionKey, value }
+   * @returns {Object} - Airtable fields
+   */
+  toAirtableFields(form, answers) {
+    const fields = {};
+
+    answers.forEach(answer => {
+      const question = form.getQuestion(answer.questionKey);
+      if (question) {
+        fields[question.airtableFieldId] = this.toAirtable(question, answer.value);
+      }
+    });
+
+    return fields;
+  }
+
+  /**
+   * Whether writing these answers needs Airtable's typecast. Answers to sourced
+   * select questions come from another table, so they may not be choices of the field yet.
+   * @param {Object} form - Form document
+   * @param {Array} answers - Array of { questionKey, value }
+   * @returns {boolean}
+   */
+  needsTypecast(form, answers) {
+    return answers.some(answer => {
+      const question = form.getQuestion(answer.questionKey);
+      return Boolean(question && ['singleSelect', 'multiSelect'].includes(question.type) && question.optionSource?.tableId);
+    });
+  }
+
+  /**
+   * Build response answers from an Airtable record's fields (keyed by field ID).
+   * Fields Airtable omitted (empty cells) produce no answer.
+   * @param {Object} form - Form document
+   * @param {Object} fields - Airtable record fields
+   * @returns {Array} - Array of { questionKey, value }
+   */
+  fromAirtableFields(form, fields) {
+    const answers = [];
+
+    form.questions.forEach(question => {
+      const cellValue = fields[question.airtableFieldId];
+      if (cellValue !== undefined) {
+        answers.push({
+          questionKey: question.questionKey,
+          value: this.fromAirtable(question, cellValue)
+        });
+      }
+    });
+
+    return answers;
+  }
+}
+
+module.exports = new FieldValueTransformer();
@@ -0,0 +1,143 @@
+const FormValidator = require('./formValidation');
+
+const SELECT_TYPES = ['singleSelect', 'multiSelect'];
+
+class FormGenerator {
+  /**
+   * Build draft questions from an Airtable table schema
+   * @param {Object} table - Table from AirtableService.getBaseTables
+   * @param {Object} options - { viewId } to limit and order fields by a view
+   * @returns {Object} - { questions, skippedFields, view }
+   */
+  generateQuestions(table, options = {}) {
+    const view = options.viewId
+      ? (table.views || []).find(v => v.id === options.viewId)
+      : null;
+
+    if (options.viewId && !view) {
+      throw new Error(`View ${options.viewId} not found in table ${table.name}`);
+    }
+
+    const fields = this.orderFields(table, view);
+    const usedKeys = new Set();
+    const questions = [];
+    const skippedFields = [];
+
+    fields.forEach(field => {
+      const { supported, questionType, unsupportedReason } = FormValidator.describeField(field);
+
+      if (!supported) {
+        skippedFields.push(this.describeSkipped(field, unsupportedReason));
+        return;
+      }
+
+      if (SELECT_TYPES.includes(questionType) && field.options.length === 0) {
+        skippedFields.push(this.describeSkipped(field, 'Select field has no choices'));
+        return;
+      }
+
+      questions.push(this.buildQuestion(field, questionType, usedKeys, questions.length));
+    });
+
+    return { questions, skippedFields, view };
+  }
+
+  /**
+   * Primary field first, then the view's visible field order (or the table's field order)
+   */
+  orderFields(table, view) {
+    let fields = table.fields;
+
+    if (view && Array.isArray(view.visibleFieldIds)) {
+      fields = view.visibleFieldIds
+        .map(fieldId => table.fields.find(f => f.id === fieldId))
+        .filter(Boolean);
+    }
+
+    const primary = fields.find(f => f.id === table.primaryFieldId);
+    return primary ? [primary, ...fields.filter(f => f !== primary)] : fields;
+  }
+
+  buildQuestion(field, questionType, usedKeys, order) {
+    const question = {
+      questionKey: this.uniqueKey(field.name, usedKeys),
+      airtableFieldId: field.id,
+      airtableFieldName: field.name,
+      label: field.name,
+      type: questionType,
+      required: false,
+      order
+    };
+
+    if (field.description) {
+      question.helpText = field.description;
+    }
+    if (SELECT_TYPES.includes(questionType)) {
+      question.options = field.options.map(option => ({
+        value: option.value,
+        label: option.label
+      }));
+    }
+    if (field.fieldOptions) {
+      question.fieldOptions = field.fieldOptions;
+    }
+
+    const validationRules = this.pickDefined(field.validation || {});
+    if (Object.keys(validationRules).length > 0) {
+      question.validationRules = validationRules;
+    }
+
+    return question;
+  }
+
+  describeSkipped(field, reason) {
+    return {
+      id: field.id,
+      name: field.name,
+      airtableType: field.airtableType,
+      reason
+    };
+  }
+
+  /**
+   * camelCase key from a field name, suffixed if already taken
+   */
+  uniqueKey(name, usedKeys) {
+    const words = String(name)
+      .normalize('NFKD')
+      .replace(/[^A-Za-z0-9]+/g, ' ')
+      .trim()
+      .split(' ')
+      .filter(Boolean);
+
+    let base = words
+      .map((word, index) => index === 0
+        ? word.toLowerCase()
+        : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join('') || 'question';
+
+    if (/^[0-9]/.test(base)) {
+      base = `q${base}`;
+    }
+
+    let key = base;
+    let suffix = 2;
+    while (usedKeys.has(key)) {
+      key = `${base}${suffix++}`;
+    }
+
+    usedKeys.add(key);
+    return key;
+  }
+
+  pickDefined(object) {
+    return Object.keys(object).reduce((acc, key) => {
+      if (object[key] !== undefined && object[key] !== null) {
+        acc[key] = object[key];
+      }
+      return acc;
+    }, {});
+  }
+}
+
+module.exports = new FormGenerator();
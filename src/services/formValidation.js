@@ -1,3 +1,25 @@
+const { isValidDateOnly, parseDateTime } = require('../utils/dateUtils');
+
+const EMAIL_PATTERN = /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)+$/;
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+const RECORD_ID_PATTERN = /^rec[A-Za-z0-9]{14}$/;
+
+const NUMERIC_TYPES = ['number', 'currency', 'percent', 'rating', 'duration'];
+
+// Decimal places allowed by Airtable's duration display formats
+const DURATION_PRECISION = {
+  'h:mm': -1,
+  'h:mm:ss': 0,
+  'h:mm:ss.S': 1,
+  'h:mm:ss.SS': 2,
+  'h:mm:ss.SSS': 3
+};
+
+const countDecimals = (value) => {
+  const [, decimals = ''] = String(value).split('.');
+  return decimals.length;
+};
+
 class FormValidator {
   constructor() {
     this.supportedTypes = [
@@ -5,25 +27,69 @@ class FormValidator {
       'longText',
       'singleSelect',
       'multiSelect',
-      'attachment'
+      'attachment',
+      'number',
+      'currency',
+      'percent',
+      'rating',
+      'checkbox',
+      'date',
+      'dateTime',
+      'email',
+      'url',
+      'phoneNumber',
+      'duration',
+      'linkedRecord'
     ];
 
     this.airtableTypeMap = {
       'singleLineText': 'shortText',
-      'email': 'shortText',
-      'url': 'shortText',
       'multilineText': 'longText',
       'richText': 'longText',
       'singleSelect': 'singleSelect',
       'multipleSelects': 'multiSelect',
-      'multipleAttachments': 'attachment'
+      'multipleAttachments': 'attachment',
+      'number': 'number',
+      'currency': 'currency',
+      'percent': 'percent',
+      'rating': 'rating',
+      'checkbox': 'checkbox',
+      'date': 'date',
+      'dateTime': 'dateTime',
+      'email': 'email',
+      'url': 'url',
+      'phoneNumber': 'phoneNumber',
+      'duration': 'duration',
+      'multipleRecordLinks': 'linkedRecord'
     };
+
+    // Forms created before these had their own types still use shortText for them
+    this.legacyTextAirtableTypes = ['email', 'url', 'phoneNumber'];
+
+    // Values Airtable calculates itself; they can never be written by a form
+    this.computedAirtableTypes = [
+      'formula',
+      'rollup',
+      'count',
+      'multipleLookupValues',
+      'autoNumber',
+      'createdTime',
+      'lastModifiedTime',
+      'createdBy',
+      'lastModifiedBy',
+      'button',
+      'aiText',
+      'externalSyncSource'
+    ];
   }
 
   /**
    * Validate questions against Airtable fields
+   * @param {Array} questions - Question definitions
+   * @param {Array} airtableFields - Fields of the form's table
+   * @param {Array} tables - All tables in the base, used to check option sources
    */
-  validateQuestions(questions, airtableFields) {
+  validateQuestions(questions, airtableFields, tables = []) {
     const errors = [];
     const usedQuestionKeys = new Set();
     const usedAirtableIds = new Set();
@@ -71,13 +137,17 @@ class FormValidator {
       } else if (airtableField.type !== question.type) {
         // Check if the mapped type matches
         const mappedType = this.airtableTypeMap[airtableField.airtableType];
-        if (mappedType !== question.type) {
+        const isLegacyText = question.type === 'shortText' &&
+          this.legacyTextAirtableTypes.includes(airtableField.airtableType);
+        if (mappedType !== question.type && !isLegacyText) {
           errors.push(`Question ${index}: type "${question.type}" doesn't match Airtable field type "${airtableField.airtableType}"`);
         }
       }
 
       // Validate options for select fields
-      if (question.type === 'singleSelect' || question.type === 'multiSelect') {
+      if (question.optionSource) {
+        errors.push(...this.validateOptionSource(question, index, tables));
+      } else if (question.type === 'singleSelect' || question.type === 'multiSelect') {
         if (!question.options || !Array.isArray(question.options)) {
           errors.push(`Question ${index}: options array is required for select fields`);
         } else if (question.options.length === 0) {
@@ -109,6 +179,14 @@ class FormValidator {
             typeof question.validationRules.pattern !== 'string') {
           errors.push(`Question ${index}: validationRules.pattern must be a string`);
         }
+        if (question.validationRules.min !== undefined && 
+            typeof question.validationRules.min !== 'number') {
+          errors.push(`Question ${index}: validationRules.min must be a number`);
+        }
+        if (question.validationRules.max !== undefined && 
+            typeof question.validationRules.max !== 'number') {
+          errors.push(`Question ${index}: validationRules.max must be a number`);
+        }
       }
     });
 
@@ -118,11 +196,126 @@ class FormValidator {
     };
   }
 
+  /**
+   * Validate a question's live option source against the base schema
+   */
+  validateOptionSource(question, index, tables) {
+    const errors = [];
+    const source = question.optionSource;
+
+    if (question.type !== 'singleSelect' && question.type !== 'multiSelect') {
+      errors.push(`Question ${index}: optionSource is only supported on select questions`);
+      return errors;
+    }
+    if (!source.tableId || !source.labelFieldId) {
+      errors.push(`Question ${index}: optionSource.tableId and optionSource.labelFieldId are required`);
+      return errors;
+    }
+
+    const table = tables.find(t => t.id === source.tableId);
+    if (!table) {
+      errors.push(`Question ${index}: optionSource table "${source.tableId}" not found`);
+      return errors;
+    }
+
+    [source.labelFieldId, source.valueFieldId].filter(Boolean).forEach(fieldId => {
+      if (!table.fields.some(f => f.id === fieldId)) {
+        errors.push(`Question ${index}: optionSource field "${fieldId}" not found in table "${table.name}"`);
+      }
+    });
+    if (source.viewId && table.views && !table.views.some(v => v.id === source.viewId)) {
+      errors.push(`Question ${index}: optionSource view "${source.viewId}" not found in table "${table.name}"`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a form's sync settings against its table
+   * @param {Object} sync - settings.sync { externalRecords, sourceFieldId, conflictPolicy }
+   * @param {Array} questions - The form's questions
+   * @param {Array} airtableFields - Fields of the form's table
+   */
+  validateSyncSettings(sync, questions, airtableFields) {
+    const errors = [];
+
+    if (sync.externalRecords !== undefined && !['import', 'ignore'].includes(sync.externalRecords)) {
+      errors.push('externalRecords must be "import" or "ignore"');
+    }
+
+    if (sync.conflictPolicy !== undefined && !['airtable', 'local', 'newest', 'manual'].includes(sync.conflictPolicy)) {
+      errors.push('conflictPolicy must be one of: airtable, local, newest, manual');
+    }
+
+    if (sync.sourceFieldId) {
+      const field = airtableFields.find(f => f.id === sync.sourceFieldId);
+
+      if (!field) {
+        errors.push(`Source form field "${sync.sourceFieldId}" not found in Airtable table`);
+      } else if (!['singleLineText', 'multilineText'].includes(field.airtableType)) {
+        errors.push(`Source form field "${field.name}" must be a text field`);
+      } else if (questions.some(q => q.airtableFieldId === sync.sourceFieldId)) {
+        errors.push(`Source form field "${field.name}" is already mapped to a question`);
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validate the respondent identity settings of a form
+   * @param {Object} identity - settings.respondentIdentity
+   * @param {Array} questions - The form's questions
+   */
+  validateRespondentIdentity(identity, questions) {
+    const errors = [];
+
+    if (identity.strategy !== undefined && !['browserToken', 'email', 'answer', 'fingerprint'].includes(identity.strategy)) {
+      errors.push('strategy must be one of: browserToken, email, answer, fingerprint');
+    }
+
+    if (identity.onDuplicate !== undefined && !['reject', 'edit'].includes(identity.onDuplicate)) {
+      errors.push('onDuplicate must be "reject" or "edit"');
+    }
+
+    if (identity.strategy === 'answer') {
+      const question = questions.find(q => q.questionKey === identity.questionKey);
+
+      if (!question) {
+        errors.push('questionKey must name a question of the form for the answer strategy');
+      } else if (!question.required) {
+        errors.push(`Question "${identity.questionKey}" must be required to identify respondents`);
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Options to validate against: the live set for sourced questions, else the static list
+   */
+  getOptions(question, state = {}) {
+    const options = question.liveOptions || question.options || [];
+
+    // Form rules can narrow the choices for a submission
+    return state.options ? options.filter(opt => state.options.includes(opt.value)) : options;
+  }
+
   /**
    * Validate answer against question type
+   * @param {Object} state - The question's state from the form rules ({ required, options }),
+   *   which overrides the question's own required flag and choices
    */
-  validateAnswer(question, answer) {
-    if (question.required && (answer === undefined || answer === null || answer === '')) {
+  validateAnswer(question, answer, state = {}) {
+    const required = state.required !== undefined ? state.required : question.required;
+
+    if (required && (answer === undefined || answer === null || answer === '')) {
       return { isValid: false, error: 'This field is required' };
     }
 
@@ -157,7 +350,7 @@ class FormValidator {
         if (typeof answer !== 'string') {
           return { isValid: false, error: 'Must be a single selection' };
         }
-        if (!question.options.some(opt => opt.value === answer)) {
+        if (!this.getOptions(question, state).some(opt => opt.value === answer)) {
           return { isValid: false, error: 'Invalid selection' };
         }
         break;
@@ -166,7 +359,7 @@ class FormValidator {
         if (!Array.isArray(answer)) {
           return { isValid: false, error: 'Must be an array of selections' };
         }
-        if (answer.some(val => !question.options.some(opt => opt.value === val))) {
+        if (answer.some(val => !this.getOptions(question, state).some(opt => opt.value === val))) {
           return { isValid: false, error: 'Contains invalid selections' };
         }
         break;
@@ -181,6 +374,61 @@ class FormValidator {
         }
         break;
 
+      case 'number':
+      case 'currency':
+      case 'percent':
+      case 'rating':
+      case 'duration':
+        return this.validateNumericAnswer(question, answer);
+
+      case 'checkbox':
+        if (typeof answer !== 'boolean') {
+          return { isValid: false, error: 'Must be true or false' };
+        }
+        break;
+
+      case 'date':
+        if (!isValidDateOnly(answer)) {
+          return { isValid: false, error: 'Must be a date in YYYY-MM-DD format' };
+        }
+        break;
+
+      case 'dateTime':
+        if (!parseDateTime(answer, question.fieldOptions?.timeZone)) {
+          return { isValid: false, error: 'Must be an ISO 8601 date and time, including a time zone offset' };
+        }
+        break;
+
+      case 'email':
+        if (typeof answer !== 'string' || answer.length > 254 || !EMAIL_PATTERN.test(answer)) {
+          return { isValid: false, error: 'Must be a valid email address' };
+        }
+        break;
+
+      case 'url':
+        if (typeof answer !== 'string' || !this.isHttpUrl(answer)) {
+          return { isValid: false, error: 'Must be a valid http(s) URL' };
+        }
+        break;
+
+      case 'phoneNumber':
+        if (typeof answer !== 'string' || !E164_PATTERN.test(answer)) {
+          return { isValid: false, error: 'Must be a phone number in international format, e.g. +14155552671' };
+        }
+        break;
+
+      case 'linkedRecord':
+        if (!Array.isArray(answer) || answer.some(id => typeof id !== 'string' || !RECORD_ID_PATTERN.test(id))) {
+          return { isValid: false, error: 'Must be an array of Airtable record IDs' };
+        }
+        if (question.fieldOptions?.prefersSingleRecordLink && answer.length > 1) {
+          return { isValid: false, error: 'Only one record can be selected' };
+        }
+        if (new Set(answer).size !== answer.length) {
+          return { isValid: false, error: 'Records cannot be selected more than once' };
+        }
+        break;
+
       default:
         return { isValid: false, error: `Unsupported question type: ${question.type}` };
     }
@@ -188,6 +436,75 @@ class FormValidator {
     return { isValid: true };
   }
 
+  /**
+   * Validate number, currency, percent, rating and duration answers
+   */
+  validateNumericAnswer(question, answer) {
+    if (typeof answer !== 'number' || !isFinite(answer)) {
+      return { isValid: false, error: 'Must be a number' };
+    }
+
+    const fieldOptions = question.fieldOptions || {};
+    const rules = question.validationRules || {};
+
+    if (question.type === 'rating') {
+      const max = fieldOptions.max || 5;
+      if (!Number.isInteger(answer) || answer < 1 || answer > max) {
+        return { isValid: false, error: `Must be a whole number from 1 to ${max}` };
+      }
+      return { isValid: true };
+    }
+
+    if (question.type === 'duration') {
+      if (answer < 0) {
+        return { isValid: false, error: 'Duration cannot be negative' };
+      }
+      const precision = DURATION_PRECISION[fieldOptions.durationFormat];
+      if (precision === -1 && answer % 60 !== 0) {
+        return { isValid: false, error: 'Duration must be whole minutes' };
+      }
+      if (precision !== undefined && precision >= 0 && countDecimals(answer) > precision) {
+        return { isValid: false, error: `Duration allows at most ${precision} decimal places of seconds` };
+      }
+    } else if (fieldOptions.precision !== undefined && countDecimals(answer) > fieldOptions.precision) {
+      return { isValid: false, error: `At most ${fieldOptions.precision} decimal places allowed` };
+    }
+
+    if (rules.min !== undefined && rules.min !== null && answer < rules.min) {
+      return { isValid: false, error: `Must be at least ${rules.min}` };
+    }
+    if (rules.max !== undefined && rules.max !== null && answer > rules.max) {
+      return { isValid: false, error: `Must be at most ${rules.max}` };
+    }
+
+    return { isValid: true };
+  }
+
+  isHttpUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Copy the Airtable field name and options (precision, currency symbol, rating max,
+   * date and duration formats) onto questions, so they come from the schema rather
+   * than the client. The name is kept to detect renames later.
+   */
+  withAirtableFieldDetails(questions, airtableFields) {
+    return questions.map(question => {
+      const airtableField = airtableFields.find(f => f.id === question.airtableFieldId);
+      return {
+        ...question,
+        airtableFieldName: airtableField ? airtableField.name : undefined,
+        fieldOptions: airtableField ? airtableField.fieldOptions : undefined
+      };
+    });
+  }
+
   /**
    * Sanitize user input based on question type
    */
@@ -205,6 +522,7 @@ class FormValidator {
         return String(answer);
 
       case 'multiSelect':
+      case 'linkedRecord':
         if (Array.isArray(answer)) {
           return answer.map(item => String(item));
         }
@@ -221,11 +539,61 @@ class FormValidator {
         }
         return [];
 
+      case 'number':
+      case 'currency':
+      case 'percent':
+      case 'rating':
+      case 'duration':
+        if (typeof answer === 'string' && answer.trim() !== '') {
+          const parsed = question.type === 'duration' ? this.parseDuration(answer) : Number(answer.trim());
+          return isNaN(parsed) ? answer : parsed;
+        }
+        return answer;
+
+      case 'checkbox':
+        if (answer === 'true') return true;
+        if (answer === 'false') return false;
+        return answer;
+
+      case 'dateTime': {
+        const date = parseDateTime(String(answer).trim(), question.fieldOptions?.timeZone);
+        return date ? date.toISOString() : answer;
+      }
+
+      case 'date':
+      case 'url':
+        return String(answer).trim();
+
+      case 'email': {
+        // Domains are case-insensitive; the local part technically isn't
+        const email = String(answer).trim();
+        const at = email.lastIndexOf('@');
+        return at === -1 ? email : email.slice(0, at + 1) + email.slice(at + 1).toLowerCase();
+      }
+
+      case 'phoneNumber':
+        return String(answer).replace(/[\s().-]/g, '');
+
       default:
         return answer;
     }
   }
 
+  /**
+   * Parse "h:mm", "h:mm:ss" or plain seconds into a number of seconds
+   */
+  parseDuration(value) {
+    const parts = value.trim().split(':');
+    if (parts.length === 1) {
+      return Number(parts[0]);
+    }
+    if (parts.length > 3 || parts.some(part => part === '' || isNaN(Number(part)))) {
+      return NaN;
+    }
+    const [hours, minutes, seconds = '0'] = parts;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+
   /**
    * Check if Airtable field type is supported
    */
@@ -233,6 +601,25 @@ class FormValidator {
     return Object.keys(this.airtableTypeMap).includes(airtableType);
   }
 
+  /**
+   * Describe whether an Airtable field can back a question, and why not if it can't
+   * @param {Object} field - Field as returned by AirtableService.mapAirtableField
+   * @returns {Object} - { supported, questionType, unsupportedReason }
+   */
+  describeField(field) {
+    const questionType = this.airtableTypeMap[field.airtableType];
+
+    if (questionType) {
+      return { supported: true, questionType, unsupportedReason: null };
+    }
+
+    const unsupportedReason = this.computedAirtableTypes.includes(field.airtableType)
+      ? `"${field.airtableType}" fields are computed by Airtable and read-only`
+      : `"${field.airtableType}" fields are not supported as questions`;
+
+    return { supported: false, questionType: null, unsupportedReason };
+  }
+
   /**
    * Get supported Airtable fields from table
    */
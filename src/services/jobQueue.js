@@ -0,0 +1,270 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const scheduler = require('../utils/scheduler');
+const logger = require('../utils/logger');
+
+// Airtable answers these for requests that will never succeed as sent
+const PERMANENT_STATUSES = [400, 404, 422];
+
+// Mongoose errors caused by the data itself rather than the database
+const PERMANENT_ERROR_NAMES = ['ValidationError', 'CastError'];
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.pollIntervalMs = (parseInt(process.env.JOB_POLL_INTERVAL_SECONDS) || 5) * 1000;
+    this.leaseMs = (parseInt(process.env.JOB_LEASE_SECONDS) || 300) * 1000;
+    this.batchSize = parseInt(process.env.JOB_BATCH_SIZE) || 20;
+    this.baseDelayMs = 30 * 1000;
+    this.maxDelayMs = 60 * 60 * 1000;
+  }
+
+  /**
+   * Register the function that runs jobs of a type
+   * @param {String} type - Job type
+   * @param {Function} handler - async (payload, job) => result
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job to the queue. With a dedupeKey, an existing pending or running
+   * job with the same key is returned instead of adding another.
+   * @param {Object} options - { userId, runAt, maxAttempts, dedupeKey }
+   * @returns {Object} - Job document
+   */
+  async enqueue(type, payload, options = {}) {
+    if (options.dedupeKey) {
+      const existing = await this.findQueued(options.dedupeKey);
+      if (existing) {
+        return existing;
+      }
+    }
+
+    const job = new Job({
+      type,
+      payload,
+      userId: options.userId,
+      dedupeKey: options.dedupeKey,
+      runAt: options.runAt || new Date(),
+      maxAttempts: options.maxAttempts || 5
+    });
+
+    try {
+      await job.save();
+    } catch (error) {
+      // Another caller queued the same key between the lookup and the insert
+      const existing = error.code === 11000 && await this.findQueued(options.dedupeKey);
+      if (existing) {
+        return existing;
+      }
+      throw error;
+    }
+
+    logger.info(`Queued ${type} job ${job._id}`);
+    return job;
+  }
+
+  /**
+   * The pending or running job holding a dedupe key, if any
+   */
+  findQueued(dedupeKey) {
+    return Job.findOne({
+      dedupeKey,
+      status: { $in: ['pending', 'running'] }
+    });
+  }
+
+  start() {
+    scheduler.every('job-queue', this.pollIntervalMs, () => this.drain(), {
+      runImmediately: true
+    });
+  }
+
+  stop() {
+    scheduler.stop('job-queue');
+  }
+
+  /**
+   * Claim and run due jobs one at a time until none are left or the batch is done
+   * @returns {Number} - Jobs processed
+   */
+  async drain() {
+    let processed = 0;
+
+    while (processed < this.batchSize) {
+      const job = await this.claim();
+      if (!job) {
+        break;
+      }
+      await this.run(job);
+      processed++;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Atomically lease the next due job. Running jobs whose lease ran out (their
+   * worker died) are picked up again, so no job is held by two workers at once.
+   */
+  claim() {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: Array.from(this.handlers.keys()) },
+        $or: [
+          { status: 'pending', runAt: { $lte: now } },
+          { status: 'running', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        status: 'running',
+        lockedBy: this.workerId,
+        lockedUntil: new Date(now.getTime() + this.leaseMs),
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+
+    try {
+      const result = await handler(job.payload, job);
+
+      await this.release(job, {
+        status: 'completed',
+        result,
+        lastError: null,
+        completedAt: new Date()
+      });
+
+    } catch (error) {
+      if (this.isPermanentError(error) || job.attempts >= job.maxAttempts) {
+        logger.error(`Job ${job._id} (${job.type}) dead after ${job.attempts} attempt(s):`, error.message);
+        await this.release(job, {
+          status: 'dead',
+          lastError: error.message,
+          deadAt: new Date()
+        });
+        return;
+      }
+
+      const delay = this.getBackoffDelay(job.attempts);
+      logger.warn(`Job ${job._id} (${job.type}) failed, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+      await this.release(job, {
+        status: 'pending',
+        lastError: error.message,
+        runAt: new Date(Date.now() + delay)
+      });
+    }
+  }
+
+  /**
+   * Whether retrying the work that threw this error can never succeed
+   */
+  isPermanentError(error) {
+    return error.retryable === false ||
+      PERMANENT_STATUSES.includes(error.status) ||
+      PERMANENT_ERROR_NAMES.includes(error.name);
+  }
+
+  /**
+   * Record work that failed permanently outside the queue as a dead job,
+   * so it shows up with the other dead jobs and can be retried from there
+   * @param {Object} options - { userId, dedupeKey }
+   * @returns {Object} - Job document
+   */
+  async deadLetter(type, payload, error, options = {}) {
+    const job = new Job({
+      type,
+      payload,
+      userId: options.userId,
+      dedupeKey: options.dedupeKey,
+      status: 'dead',
+      attempts: 1,
+      lastError: error.message,
+      deadAt: new Date()
+    });
+    await job.save();
+
+    logger.warn(`Dead-lettered ${type} job ${job._id}:`, error.message);
+    return job;
+  }
+
+  /**
+   * Write a job's outcome, but only while this worker still holds the lease
+   */
+  async release(job, update) {
+    const released = await Job.findOneAndUpdate(
+      { _id: job._id, lockedBy: this.workerId },
+      { ...update, lockedBy: null, lockedUntil: null },
+      { new: true }
+    );
+
+    if (!released) {
+      logger.warn(`Lease on job ${job._id} was lost before it finished`);
+    }
+    return released;
+  }
+
+  /**
+   * Exponential backoff with jitter: 30s, 1m, 2m, ... capped at an hour
+   */
+  getBackoffDelay(attempts) {
+    const delay = Math.min(this.baseDelayMs * Math.pow(2, attempts - 1), this.maxDelayMs);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * Put a dead or pending job back to run now with a fresh set of attempts.
+   * If another job with its dedupe key is already queued, that job is returned.
+   */
+  async retry(job) {
+    try {
+      return await Job.findOneAndUpdate(
+        { _id: job._id, status: { $in: ['pending', 'dead'] } },
+        {
+          status: 'pending',
+          attempts: 0,
+          runAt: new Date(),
+          deadAt: null
+        },
+        { new: true }
+      );
+    } catch (error) {
+      const existing = error.code === 11000 && await this.findQueued(job.dedupeKey);
+      if (existing) {
+        return existing;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a job that isn't running
+   */
+  discard(job) {
+    return Job.deleteOne({ _id: job._id, status: { $ne: 'running' } });
+  }
+
+  async getStats(filter = {}) {
+    const stats = await Job.aggregate([
+      { $match: filter },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    return stats.reduce((acc, curr) => {
+      acc[curr._id] = curr.count;
+      return acc;
+    }, { pending: 0, running: 0, completed: 0, dead: 0 });
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,147 @@
+const User = require('../models/User');
+const AirtableService = require('./airtableService');
+const { fieldContains, recordIdIn } = require('../utils/airtableFormula');
+const logger = require('../utils/logger');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const VERIFY_CHUNK_SIZE = 50;
+
+class LinkedRecordService {
+  /**
+   * Resolve the linked table and its primary field for a linkedRecord question
+   * @returns {Object} - { owner, table, primaryField }
+   */
+  async getLinkedTable(form, question) {
+    const linkedTableId = question.fieldOptions?.linkedTableId;
+    if (!linkedTableId) {
+      throw new Error(`Question ${question.questionKey} has no linked table`);
+    }
+
+    const owner = await User.findById(form.userId);
+    if (!owner) {
+      throw new Error('Form owner not found');
+    }
+
+    const tables = await AirtableService.getBaseTables(owner, form.airtableBaseId);
+    const table = tables.find(t => t.id === linkedTableId);
+    if (!table) {
+      throw new Error(`Linked table ${linkedTableId} not found in Airtable`);
+    }
+
+    const primaryField = table.fields.find(f => f.id === table.primaryFieldId);
+    return { owner, table, primaryField };
+  }
+
+  /**
+   * Page through records of the linked table, labelled by its primary field
+   * @param {Object} params - { search, offset, pageSize }
+   * @returns {Object} - { options: [{ value, label }], offset, prefersSingleRecordLink }
+   */
+  async searchOptions(form, question, params = {}) {
+    const { owner, table, primaryField } = await this.getLinkedTable(form, question);
+    const pageSize = Math.min(parseInt(params.pageSize) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    const listParams = {
+      pageSize,
+      fields: [table.primaryFieldId],
+      returnFieldsByFieldId: true,
+      sort: [{ field: table.primaryFieldId, direction: 'asc' }]
+    };
+
+    if (params.offset) {
+      listParams.offset = params.offset;
+    }
+    if (params.search && primaryField) {
+      listParams.filterByFormula = fieldContains(primaryField.name, params.search);
+    }
+
+    const { records, offset } = await AirtableService.listRecords(
+      owner,
+      form.airtableBaseId,
+      table.id,
+      listParams
+    );
+
+    return {
+      options: records.map(record => ({
+        value: record.id,
+        label: this.formatLabel(record.fields[table.primaryFieldId], record.id)
+      })),
+      offset,
+      prefersSingleRecordLink: !!question.fieldOptions?.prefersSingleRecordLink
+    };
+  }
+
+  /**
+   * Check that every submitted record ID exists in the linked table
+   * @returns {Object} - { valid, missing }
+   */
+  async verifyRecordIds(form, question, recordIds) {
+    if (!recordIds || recordIds.length === 0) {
+      return { valid: true, missing: [] };
+    }
+
+    const { owner, table } = await this.getLinkedTable(form, question);
+    const found = new Set();
+
+    for (let i = 0; i < recordIds.length; i += VERIFY_CHUNK_SIZE) {
+      const chunk = recordIds.slice(i, i + VERIFY_CHUNK_SIZE);
+      const { records } = await AirtableService.listRecords(owner, form.airtableBaseId, table.id, {
+        filterByFormula: recordIdIn(chunk),
+        fields: [table.primaryFieldId],
+        returnFieldsByFieldId: true,
+        pageSize: VERIFY_CHUNK_SIZE
+      });
+      records.forEach(record => found.add(record.id));
+    }
+
+    const missing = recordIds.filter(id => !found.has(id));
+    return { valid: missing.length === 0, missing };
+  }
+
+  /**
+   * Verify linked record answers for a submission. If Airtable can't be reached the
+   * answers are let through; createRecord will reject unknown IDs anyway.
+   * @returns {Array} - Validation errors ({ questionKey, error })
+   */
+  async validateAnswers(form, answers) {
+    const errors = [];
+
+    for (const answer of answers) {
+      const question = form.getQuestion(answer.questionKey);
+      if (!question || question.type !== 'linkedRecord' || !Array.isArray(answer.value)) {
+        continue;
+      }
+
+      try {
+        const result = await this.verifyRecordIds(form, question, answer.value);
+        if (!result.valid) {
+          errors.push({
+            questionKey: answer.questionKey,
+            error: `Unknown linked records: ${result.missing.join(', ')}`
+          });
+        }
+      } catch (error) {
+        logger.warn(`Could not verify linked records for ${answer.questionKey}:`, error.message);
+      }
+    }
+
+    return errors;
+  }
+
+  formatLabel(value, fallback) {
+    if (value === undefined || value === null || value === '') {
+      return fallback;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => (typeof item === 'object' ? item.name || item.id : item)).join(', ');
+    }
+    if (typeof value === 'object') {
+      return value.name || value.label || JSON.stringify(value);
+    }
+    return String(value);
+  }
+}
+
+module.exports = new LinkedRecordService();
@@ -0,0 +1,136 @@
+const NodeCache = require('node-cache');
+const User = require('../models/User');
+const AirtableService = require('./airtableService');
+const logger = require('../utils/logger');
+
+const DEFAULT_TTL_SECONDS = 300;
+const MAX_OPTIONS = 1000;
+
+class OptionSourceService {
+  constructor() {
+    this.cache = new NodeCache({ checkperiod: 60 });
+    // Last successful fetch per source, served if Airtable is unreachable
+    this.lastKnown = new Map();
+  }
+
+  getCacheKey(baseId, source) {
+    return [
+      'options',
+      baseId,
+      source.tableId,
+      source.viewId || '',
+      source.labelFieldId,
+      source.valueFieldId || ''
+    ].join(':');
+  }
+
+  /**
+   * Fetch the live option list for a question with an optionSource
+   * @param {Object} form - Form document
+   * @param {Object} question - Question with optionSource { tableId, viewId, labelFieldId, valueFieldId }
+   * @param {Object} options - { refresh } to bypass the cache
+   * @returns {Array} - Options [{ value, label }]
+   */
+  async getOptions(form, question, options = {}) {
+    const source = question.optionSource;
+    const cacheKey = this.getCacheKey(form.airtableBaseId, source);
+
+    if (!options.refresh) {
+      const cached = this.cache.get(cacheKey);
+      if (cached) {
+        return cached;
+      }
+    }
+
+    const owner = await User.findById(form.userId);
+    if (!owner) {
+      throw new Error('Form owner not found');
+    }
+
+    const fields = [source.labelFieldId];
+    if (source.valueFieldId && source.valueFieldId !== source.labelFieldId) {
+      fields.push(source.valueFieldId);
+    }
+
+    const seen = new Set();
+    const liveOptions = [];
+    let offset = null;
+
+    do {
+      const params = { fields, returnFieldsByFieldId: true, pageSize: 100 };
+      if (source.viewId) {
+        params.view = source.viewId;
+      }
+      if (offset) {
+        params.offset = offset;
+      }
+
+      const page = await AirtableService.listRecords(owner, form.airtableBaseId, source.tableId, params);
+
+      page.records.forEach(record => {
+        const label = this.toText(record.fields[source.labelFieldId]);
+        const value = source.valueFieldId
+          ? this.toText(record.fields[source.valueFieldId])
+          : label;
+
+        if (label && value && !seen.has(value)) {
+          seen.add(value);
+          liveOptions.push({ value, label });
+        }
+      });
+
+      offset = page.offset;
+    } while (offset && liveOptions.length < MAX_OPTIONS);
+
+    this.cache.set(cacheKey, liveOptions, source.cacheTtlSeconds || DEFAULT_TTL_SECONDS);
+    this.lastKnown.set(cacheKey, liveOptions);
+    return liveOptions;
+  }
+
+  /**
+   * Attach live options to every sourced question on a form as `liveOptions`.
+   * This is an in-memory property only; it is never persisted with the form.
+   */
+  async hydrateForm(form, options = {}) {
+    const sourced = form.questions.filter(q => q.optionSource && q.optionSource.tableId);
+
+    for (const question of sourced) {
+      try {
+        question.liveOptions = await this.getOptions(form, question, options);
+      } catch (error) {
+        const cacheKey = this.getCacheKey(form.airtableBaseId, question.optionSource);
+        const stale = this.lastKnown.get(cacheKey);
+
+        logger.warn(`Failed to load options for ${question.questionKey}, using ${stale ? 'last known' : 'static'} options:`, error.message);
+        question.liveOptions = stale || question.options;
+      }
+    }
+
+    return form;
+  }
+
+  /**
+   * Drop cached options sourced from a table, e.g. when its records change
+   */
+  invalidate(baseId, tableId) {
+    const prefix = tableId ? `options:${baseId}:${tableId}:` : `options:${baseId}:`;
+    this.cache.keys()
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => this.cache.del(key));
+  }
+
+  toText(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.toText(item)).join(', ');
+    }
+    if (typeof value === 'object') {
+      return String(value.name || value.label || value.id || '');
+    }
+    return String(value).trim();
+  }
+}
+
+module.exports = new OptionSourceService();
@@ -0,0 +1,93 @@
+const Response = require('../models/Response');
+
+class RecordRoutingService {
+  getSyncSettings(form) {
+    return {
+      externalRecords: form.settings?.sync?.externalRecords || 'import',
+      sourceFieldId: form.settings?.sync?.sourceFieldId || null
+    };
+  }
+
+  /**
+   * Decide which of the forms bound to a table an Airtable record belongs to:
+   * 1. forms that already hold a response for the record keep it;
+   * 2. otherwise a form named in its own source form field claims it;
+   * 3. otherwise the record was created outside the app and goes to every
+   *    form that imports external records.
+   * @param {Array} forms - Active forms bound to the record's table
+   * @param {Object} record - Airtable record { id, fields } with fields keyed by ID
+   * @returns {Array} - [{ form, response }], response is null when it must be created
+   */
+  async route(forms, record) {
+    const routes = await this.routeMany(forms, [record]);
+    return routes.get(record.id);
+  }
+
+  /**
+   * Route a page of records with a single lookup of existing responses
+   * @returns {Map} - Record ID => [{ form, response }]
+   */
+  async routeMany(forms, records) {
+    const responses = await Response.find({
+      airtableRecordId: { $in: records.map(record => record.id) },
+      formId: { $in: forms.map(form => form._id) }
+    });
+
+    const routes = new Map();
+
+    records.forEach(record => {
+      const owned = responses.filter(response => response.airtableRecordId === record.id);
+
+      if (owned.length > 0) {
+        routes.set(record.id, owned.map(response => ({
+          form: forms.find(form => form._id.equals(response.formId)),
+          response
+        })));
+        return;
+      }
+
+      const sourceFormId = this.getSourceFormId(forms, record.fields || {});
+      if (sourceFormId) {
+        // A source form that isn't bound to this table (or was deleted) claims nothing here
+        const form = forms.find(f => f._id.toString() === sourceFormId);
+        routes.set(record.id, form ? [{ form, response: null }] : []);
+        return;
+      }
+
+      routes.set(record.id, forms
+        .filter(form => this.getSyncSettings(form).externalRecords === 'import')
+        .map(form => ({ form, response: null })));
+    });
+
+    return routes;
+  }
+
+  /**
+   * Read the form ID from the first source form field set on the record
+   */
+  getSourceFormId(forms, fields) {
+    for (const form of forms) {
+      const { sourceFieldId } = this.getSyncSettings(form);
+      const value = sourceFieldId ? fields[sourceFieldId] : null;
+
+      if (typeof value === 'string' && value.trim()) {
+        return value.trim();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Stamp outbound Airtable fields with the form's ID if it has a source form field
+   */
+  withSourceField(form, airtableFields) {
+    const { sourceFieldId } = this.getSyncSettings(form);
+
+    if (!sourceFieldId) {
+      return airtableFields;
+    }
+    return { ...airtableFields, [sourceFieldId]: form._id.toString() };
+  }
+}
+
+module.exports = new RecordRoutingService();
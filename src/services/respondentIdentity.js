@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const TokenManager = require('../utils/tokenManager');
+
+const TOKEN_SCOPE = 'respondent';
+
+class RespondentIdentity {
+  constructor() {
+    this.tokenExpiresIn = process.env.RESPONDENT_TOKEN_EXPIRE || '365d';
+  }
+
+  getSettings(form) {
+    const identity = form.settings?.respondentIdentity || {};
+
+    return {
+      strategy: identity.strategy || 'browserToken',
+      questionKey: identity.questionKey || null,
+      onDuplicate: identity.onDuplicate || 'reject'
+    };
+  }
+
+  /**
+   * Signed browser token for a form. A still-valid token the browser already
+   * holds is returned as is, so the respondent keeps the same identity.
+   */
+  issueToken(form, existingToken) {
+    if (existingToken && this.verifyToken(existingToken, form._id)) {
+      return existingToken;
+    }
+
+    return TokenManager.generateShortLivedToken({
+      scope: TOKEN_SCOPE,
+      formId: form._id.toString(),
+      respondentId: crypto.randomUUID()
+    }, this.tokenExpiresIn);
+  }
+
+  /**
+   * @returns {String|null} - The respondent ID carried by a valid token for the form
+   */
+  verifyToken(token, formId) {
+    const decoded = TokenManager.verifyToken(token);
+
+    if (!decoded || decoded.scope !== TOKEN_SCOPE || decoded.formId !== formId.toString()) {
+      return null;
+    }
+    return decoded.respondentId;
+  }
+
+  getRequestToken(req) {
+    return req.get('X-Respondent-Token') || req.body?.respondentToken || null;
+  }
+
+  getTokenIdentity(req, form) {
+    const token = this.getRequestToken(req);
+    return token ? this.verifyToken(token, form._id) : null;
+  }
+
+  /**
+   * Identify the respondent of a submission with the form's strategy
+   * @param {Object} form - Form document
+   * @param {Object} req - Submission request
+   * @param {Array} answers - Sanitized answers [{ questionKey, value }]
+   * @returns {Object} - { key } or { status, error } when the respondent can't be identified
+   */
+  resolve(form, req, answers) {
+    const { strategy, questionKey } = this.getSettings(form);
+    let identity = null;
+
+    switch (strategy) {
+      case 'browserToken':
+        identity = this.getTokenIdentity(req, form);
+        if (!identity) {
+          return { status: 400, error: 'A valid respondent token is required; reload the form and try again' };
+        }
+        break;
+
+      case 'email':
+        identity = this.getAuthenticatedEmail(req);
+        if (!identity) {
+          return { status: 401, error: 'Sign in to respond to this form' };
+        }
+        break;
+
+      case 'answer':
+        identity = this.getAnswerIdentity(answers, questionKey);
+        if (!identity) {
+          return { status: 400, error: `An answer to "${questionKey}" is required to identify you` };
+        }
+        break;
+
+      case 'fingerprint':
+        identity = `${req.ip}|${req.get('User-Agent') || ''}`;
+        break;
+
+      default:
+        return { status: 400, error: `Unknown respondent identity strategy: ${strategy}` };
+    }
+
+    return { key: this.hash(form, strategy, identity) };
+  }
+
+  /**
+   * Email of a respondent signed in to the app, from the optional Bearer token
+   */
+  getAuthenticatedEmail(req) {
+    const authHeader = req.get('Authorization');
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return null;
+    }
+
+    const decoded = TokenManager.verifyToken(authHeader.split(' ')[1]);
+    return decoded?.email ? decoded.email.trim().toLowerCase() : null;
+  }
+
+  getAnswerIdentity(answers, questionKey) {
+    const answer = answers.find(a => a.questionKey === questionKey);
+    const value = answer ? answer.value : null;
+
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    return String(value).trim().toLowerCase();
+  }
+
+  /**
+   * Only a hash is stored, so emails and IPs aren't kept in clear for this purpose
+   */
+  hash(form, strategy, identity) {
+    return crypto
+      .createHash('sha256')
+      .update(`${form._id}:${strategy}:${identity}`)
+      .digest('hex');
+  }
+}
+
+module.exports = new RespondentIdentity();
@@ -0,0 +1,259 @@
+const Form = require('../models/Form');
+const User = require('../models/User');
+const AirtableService = require('./airtableService');
+const FormValidator = require('./formValidation');
+const scheduler = require('../utils/scheduler');
+const logger = require('../utils/logger');
+
+const SELECT_TYPES = ['singleSelect', 'multiSelect'];
+
+// Breaking issues make submissions fail; the rest are safe to heal automatically
+const AUTO_HEALABLE = ['fieldRenamed', 'optionRenamed', 'optionAdded', 'fieldOptionsChanged'];
+
+const sameOptions = (a = {}, b = {}) => {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  return Array.from(keys).every(key => {
+    const left = a ? a[key] : undefined;
+    const right = b ? b[key] : undefined;
+    return (left === undefined || left === null)
+      ? (right === undefined || right === null)
+      : JSON.stringify(left) === JSON.stringify(right);
+  });
+};
+
+class SchemaDriftService {
+  constructor() {
+    this.intervalMs = (parseInt(process.env.SCHEMA_DRIFT_INTERVAL_MINUTES) || 360) * 60 * 1000;
+  }
+
+  start() {
+    scheduler.every('schema-drift', this.intervalMs, () => this.checkAllForms());
+  }
+
+  stop() {
+    scheduler.stop('schema-drift');
+  }
+
+  /**
+   * Compare a form's questions against its table's current schema
+   * @param {Object} form - Form document
+   * @param {Object} options - { autoHeal, refresh } refresh bypasses the schema cache
+   * @returns {Object} - Drift report as stored on form.schemaDrift
+   */
+  async checkForm(form, options = {}) {
+    const refresh = options.refresh !== false;
+    let report;
+
+    try {
+      const owner = await User.findById(form.userId);
+      if (!owner) {
+        throw new Error('Form owner not found');
+      }
+
+      const tables = await AirtableService.getBaseTables(owner, form.airtableBaseId, { refresh });
+      const table = tables.find(t => t.id === form.airtableTableId);
+
+      const issues = table
+        ? this.findIssues(form, table, tables)
+        : [this.issue('tableRemoved', null, { tableId: form.airtableTableId })];
+
+      const healed = options.autoHeal && table ? this.heal(form, issues) : [];
+      const remaining = issues.filter(issue => !healed.includes(issue));
+
+      report = {
+        checkedAt: new Date(),
+        status: remaining.length > 0 ? 'drifted' : 'ok',
+        issues: remaining,
+        healed,
+        error: null
+      };
+
+      if (healed.length > 0) {
+        form.version += 1;
+        logger.info(`Auto-healed ${healed.length} schema drift issue(s) on form ${form._id}`);
+      }
+
+    } catch (error) {
+      logger.error(`Schema drift check failed for form ${form._id}:`, error.message);
+      report = {
+        checkedAt: new Date(),
+        status: 'error',
+        issues: form.schemaDrift?.issues || [],
+        healed: [],
+        error: error.message
+      };
+    }
+
+    form.schemaDrift = report;
+    await form.save();
+    return report;
+  }
+
+  findIssues(form, table, tables) {
+    const issues = [];
+
+    form.questions.forEach(question => {
+      const field = table.fields.find(f => f.id === question.airtableFieldId);
+
+      if (!field) {
+        issues.push(this.issue('fieldRemoved', question, { fieldId: question.airtableFieldId }));
+        return;
+      }
+
+      const { questionType } = FormValidator.describeField(field);
+      const isLegacyText = question.type === 'shortText' &&
+        FormValidator.legacyTextAirtableTypes.includes(field.airtableType);
+
+      if (questionType !== question.type && !isLegacyText) {
+        issues.push(this.issue('typeChanged', question, {
+          fieldId: field.id,
+          from: question.type,
+          to: field.airtableType
+        }));
+        return;
+      }
+
+      if (question.airtableFieldName && question.airtableFieldName !== field.name) {
+        issues.push(this.issue('fieldRenamed', question, {
+          fieldId: field.id,
+          from: question.airtableFieldName,
+          to: field.name
+        }));
+      }
+
+      if (!sameOptions(question.fieldOptions, field.fieldOptions)) {
+        issues.push(this.issue('fieldOptionsChanged', question, {
+          fieldId: field.id,
+          from: question.fieldOptions || null,
+          to: field.fieldOptions || null
+        }));
+      }
+
+      if (question.optionSource && question.optionSource.tableId) {
+        issues.push(...this.findOptionSourceIssues(question, tables));
+      } else if (SELECT_TYPES.includes(question.type)) {
+        issues.push(...this.findOptionIssues(question, field));
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Options are matched by Airtable choice ID, so a renamed choice keeps its value
+   */
+  findOptionIssues(question, field) {
+    const issues = [];
+
+    question.options.forEach(option => {
+      const choice = field.options.find(c => c.value === option.value);
+      if (!choice) {
+        issues.push(this.issue('optionRemoved', question, { value: option.value, label: option.label }));
+      } else if (choice.label !== option.label) {
+        issues.push(this.issue('optionRenamed', question, { value: option.value, from: option.label, to: choice.label }));
+      }
+    });
+
+    field.options.forEach(choice => {
+      if (!question.options.some(option => option.value === choice.value)) {
+        issues.push(this.issue('optionAdded', question, { value: choice.value, label: choice.label }));
+      }
+    });
+
+    return issues;
+  }
+
+  findOptionSourceIssues(question, tables) {
+    const source = question.optionSource;
+    const table = tables.find(t => t.id === source.tableId);
+
+    if (!table) {
+      return [this.issue('optionSourceRemoved', question, { tableId: source.tableId })];
+    }
+
+    return [source.labelFieldId, source.valueFieldId]
+      .filter(Boolean)
+      .filter(fieldId => !table.fields.some(f => f.id === fieldId))
+      .map(fieldId => this.issue('optionSourceRemoved', question, { tableId: source.tableId, fieldId }));
+  }
+
+  /**
+   * Apply auto-healable issues to the form in place
+   * @returns {Array} - The issues that were healed
+   */
+  heal(form, issues) {
+    const healed = [];
+
+    issues.filter(issue => AUTO_HEALABLE.includes(issue.kind)).forEach(issue => {
+      const question = form.getQuestion(issue.questionKey);
+      if (!question) {
+        return;
+      }
+
+      switch (issue.kind) {
+        case 'fieldRenamed':
+          // Only follow the rename if the label was never customised
+          if (question.label === issue.from) {
+            question.label = issue.to;
+          }
+          question.airtableFieldName = issue.to;
+          break;
+
+        case 'optionRenamed': {
+          const option = question.options.find(o => o.value === issue.value);
+          option.label = issue.to;
+          break;
+        }
+
+        case 'optionAdded':
+          question.options.push({ value: issue.value, label: issue.label });
+          break;
+
+        case 'fieldOptionsChanged':
+          question.fieldOptions = issue.to || undefined;
+          form.markModified('questions');
+          break;
+      }
+
+      healed.push(issue);
+    });
+
+    return healed;
+  }
+
+  issue(kind, question, details) {
+    return {
+      kind,
+      questionKey: question ? question.questionKey : null,
+      breaking: !AUTO_HEALABLE.includes(kind),
+      ...details
+    };
+  }
+
+  /**
+   * Scheduled run over every active form; the schema is fetched fresh once per base
+   */
+  async checkAllForms() {
+    const forms = await Form.find({ isActive: true });
+    const refreshed = new Set();
+    const summary = { checked: 0, drifted: 0, errors: 0 };
+
+    for (const form of forms) {
+      const baseKey = `${form.userId}:${form.airtableBaseId}`;
+      const report = await this.checkForm(form, {
+        autoHeal: form.settings?.autoHealSchemaDrift,
+        refresh: !refreshed.has(baseKey)
+      });
+      refreshed.add(baseKey);
+
+      summary.checked++;
+      if (report.status === 'drifted') summary.drifted++;
+      if (report.status === 'error') summary.errors++;
+    }
+
+    logger.info(`Schema drift run: ${summary.checked} checked, ${summary.drifted} drifted, ${summary.errors} errors`);
+    return summary;
+  }
+}
+
+module.exports = new SchemaDriftService();
@@ -0,0 +1,661 @@
+const crypto = require('crypto');
+const Response = require('../models/Response');
+const Form = require('../models/Form');
+const User = require('../models/User');
+const AirtableService = require('./airtableService');
+const ConditionalLogic = require('./conditionalLogic');
+const FormValidator = require('./formValidation');
+const FieldValueTransformer = require('./fieldValueTransformer');
+const LinkedRecordService = require('./linkedRecordService');
+const OptionSourceService = require('./optionSourceService');
+const RecordRoutingService = require('./recordRoutingService');
+const ConflictResolver = require('./conflictResolver');
+const RespondentIdentity = require('./respondentIdentity');
+const TokenManager = require('../utils/tokenManager');
+const scheduler = require('../utils/scheduler');
+const logger = require('../utils/logger');
+
+const EDIT_TOKEN_SCOPE = 'responseEdit';
+
+// A submit saves a claimed draft within moments; older claims were left by a crash
+const DRAFT_CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+class SubmissionService {
+  constructor() {
+    this.draftTtlMs = (parseInt(process.env.DRAFT_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+    this.cleanupIntervalMs = (parseInt(process.env.DRAFT_CLEANUP_INTERVAL_MINUTES) || 60) * 60 * 1000;
+  }
+
+  start() {
+    scheduler.every('draft-cleanup', this.cleanupIntervalMs, () => this.expireDrafts(), {
+      runImmediately: true
+    });
+  }
+
+  stop() {
+    scheduler.stop('draft-cleanup');
+  }
+
+  /**
+   * Validate and normalize answers against a form
+   * @param {Object} rawAnswers - Answers keyed by question key
+   * @param {Object} options - { partial } checks only the answered questions,
+   *   without required-ness, visibility, form rules or page branching, for drafts;
+   *   { saved } are answers already stored, which disabled questions keep
+   * @returns {Object} - { answers, errors }
+   */
+  async processAnswers(form, rawAnswers, options = {}) {
+    // Sourced select questions validate against their live options
+    await OptionSourceService.hydrateForm(form);
+
+    const errors = [];
+    const answers = [];
+
+    // Form rules may set answers and change what is shown, required, editable or selectable
+    const { answers: values, states } = options.partial
+      ? { answers: rawAnswers, states: {} }
+      : ConditionalLogic.evaluateActions(form, rawAnswers);
+
+    // Respondents can't change a disabled answer; it keeps its saved or rule-set value
+    Object.entries(states).forEach(([questionKey, state]) => {
+      if (!state.disabled || state.valueSet) {
+        return;
+      }
+      if (options.saved && options.saved[questionKey] !== undefined) {
+        values[questionKey] = options.saved[questionKey];
+      } else {
+        delete values[questionKey];
+      }
+    });
+
+    // On a multi-page form only the pages the answers lead through count
+    const onPath = new Set(ConditionalLogic.getQuestionsOnPath(form, values).map(q => q.questionKey));
+
+    // Check required fields
+    if (!options.partial) {
+      form.questions.filter(question => onPath.has(question.questionKey)).forEach(question => {
+        if (states[question.questionKey].required && isEmpty(values[question.questionKey])) {
+          errors.push({
+            questionKey: question.questionKey,
+            error: 'This field is required'
+          });
+        }
+      });
+    }
+
+    // Validate each answer
+    Object.entries(values).forEach(([questionKey, rawValue]) => {
+      const question = form.getQuestion(questionKey);
+
+      if (!question) {
+        errors.push({
+          questionKey,
+          error: 'Question not found in form'
+        });
+        return;
+      }
+
+      // Answers left on pages a branch skipped, or to hidden questions, are dropped
+      if (!options.partial && (!onPath.has(questionKey) || !states[questionKey].visible)) {
+        return;
+      }
+
+      // A draft may clear an answer it saved earlier
+      if (options.partial && isEmpty(rawValue)) {
+        answers.push({ questionKey, value: null, submittedAt: new Date() });
+        return;
+      }
+
+      // Normalize before validating (trim text, parse numbers, E.164 phones, UTC date-times)
+      const value = FormValidator.sanitizeAnswer(question, rawValue);
+      const validation = form.validateAnswer(questionKey, value, states[questionKey]);
+      if (!validation.isValid) {
+        errors.push({
+          questionKey,
+          error: validation.error
+        });
+        return;
+      }
+
+      answers.push({
+        questionKey,
+        value,
+        submittedAt: new Date()
+      });
+    });
+
+    // Linked record IDs must exist in the linked table
+    if (errors.length === 0) {
+      errors.push(...await LinkedRecordService.validateAnswers(
+        form,
+        answers.filter(answer => !isEmpty(answer.value))
+      ));
+    }
+
+    return { answers, errors };
+  }
+
+  /**
+   * Turn validated answers into a submission: enforce one submission per
+   * respondent, write the record to Airtable and save the response. A failed
+   * Airtable write keeps the response locally and queues a retry.
+   * @param {Object} form - Published form
+   * @param {Array} answers - Output of processAnswers
+   * @param {Object} options - { req, metadata, draft } where draft is the draft being finalized
+   * @returns {Object} - { response, updated, syncError } or { status, error } when refused
+   */
+  async submit(form, answers, options = {}) {
+    const { req, metadata, draft } = options;
+    let respondentKey = null;
+
+    if (!form.settings.allowMultipleSubmissions) {
+      const identity = RespondentIdentity.resolve(form, req, answers);
+
+      if (identity.error) {
+        return { status: identity.status, error: identity.error };
+      }
+      respondentKey = identity.key;
+
+      const previous = await this.findPreviousSubmission(form, respondentKey);
+      if (previous) {
+        return this.handleDuplicate(form, previous, answers, draft);
+      }
+    }
+
+    // A finalized draft becomes the response, keeping its ID
+    const response = draft || new Response({ formId: form._id, userId: form.userId });
+
+    // Saved before the Airtable write, so the unique respondent index claims the
+    // respondent's one submission and a concurrent duplicate creates no second record
+    response.set({
+      airtableRecordId: `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      status: 'pending',
+      answers,
+      respondentKey
+    });
+    response.draft = undefined;
+
+    if (req) {
+      response.submittedBy = {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        referrer: req.get('Referer')
+      };
+    }
+    if (metadata) {
+      response.metadata = metadata;
+    }
+
+    try {
+      await response.save();
+    } catch (error) {
+      const previous = error.code === 11000 && error.keyPattern?.respondentKey
+        ? await this.findPreviousSubmission(form, respondentKey)
+        : null;
+
+      if (!previous) {
+        throw error;
+      }
+      return this.handleDuplicate(form, previous, answers, draft);
+    }
+
+    const user = await User.findById(form.userId);
+
+    let airtableRecordId = null;
+    let syncError = null;
+
+    try {
+      // Prepare data for Airtable
+      const airtableFields = RecordRoutingService.withSourceField(
+        form,
+        FieldValueTransformer.toAirtableFields(form, answers)
+      );
+
+      // Create record in Airtable
+      const airtableRecord = await AirtableService.createRecord(
+        user,
+        form.airtableBaseId,
+        form.airtableTableId,
+        airtableFields,
+        { typecast: FieldValueTransformer.needsTypecast(form, answers) }
+      );
+
+      airtableRecordId = airtableRecord.id;
+
+    } catch (airtableError) {
+      logger.error('Airtable submission failed:', airtableError);
+      syncError = airtableError.message;
+      // Continue to save response locally even if Airtable fails
+    }
+
+    if (airtableRecordId) {
+      response.set({
+        airtableRecordId,
+        status: 'submitted',
+        // Answers written to Airtable are the base for later two-way merges
+        answers: answers.map(answer => ({ ...answer, syncedValue: answer.value }))
+      });
+    } else {
+      response.status = 'failed';
+    }
+    response.syncStatus = {
+      lastSyncedAt: airtableRecordId ? new Date() : null,
+      syncAttempts: 1,
+      syncError
+    };
+
+    await response.save();
+
+    // If Airtable submission failed, queue for retry
+    if (!airtableRecordId) {
+      logger.warn(`Response ${response._id} saved locally but Airtable submission failed, queued for retry`);
+      await AirtableService.queueResponseSync(response);
+    }
+
+    return { response, updated: false, syncError, edit: this.issueEditLink(form, response) };
+  }
+
+  findPreviousSubmission(form, respondentKey) {
+    return Response.findOne({
+      formId: form._id,
+      respondentKey,
+      status: { $nin: ['deleted', 'draft'] }
+    });
+  }
+
+  /**
+   * A respondent who already submitted either edits that submission or is refused
+   */
+  handleDuplicate(form, previous, answers, draft) {
+    if (RespondentIdentity.getSettings(form).onDuplicate === 'edit') {
+      return this.replaceAnswers(form, previous, answers, draft);
+    }
+    return { status: 409, error: 'You have already submitted this form' };
+  }
+
+  /**
+   * A repeat submission replaces the respondent's earlier answers;
+   * questions left out are cleared
+   */
+  async replaceAnswers(form, previous, answers, draft) {
+    const submittedKeys = new Set(answers.map(answer => answer.questionKey));
+    const cleared = previous.answers
+      .filter(answer => !submittedKeys.has(answer.questionKey))
+      .map(answer => ({ questionKey: answer.questionKey, value: null }));
+
+    const changed = this.applyAnswerEdits(previous, [...answers, ...cleared]);
+    await previous.save();
+
+    if (draft) {
+      await Response.deleteOne({ _id: draft._id });
+    }
+
+    const syncError = changed ? await this.pushEdits(previous) : null;
+    const response = await Response.findById(previous._id);
+    return { response, updated: true, syncError, edit: this.issueEditLink(form, response) };
+  }
+
+  /**
+   * Apply answer edits field by field; syncedValue is kept as the merge base
+   * @param {Array} edits - [{ questionKey, value }]
+   * @returns {Boolean} - Whether any answer changed
+   */
+  applyAnswerEdits(response, edits) {
+    const now = new Date();
+    let changed = false;
+
+    edits.forEach(edit => {
+      const answer = response.answers.find(a => a.questionKey === edit.questionKey);
+
+      if (!answer) {
+        response.answers.push({
+          questionKey: edit.questionKey,
+          value: edit.value,
+          submittedAt: now,
+          localModifiedAt: now
+        });
+        changed = true;
+      } else if (!ConflictResolver.sameValue(answer.value, edit.value)) {
+        answer.value = edit.value;
+        answer.localModifiedAt = now;
+        answer.version = (answer.version || 1) + 1;
+        changed = true;
+      }
+    });
+
+    return changed;
+  }
+
+  /**
+   * Push local edits so Airtable doesn't send the old values back; a failed
+   * push is queued for retry
+   * @returns {String|null} - The sync error, if the push failed
+   */
+  async pushEdits(response) {
+    try {
+      await AirtableService.syncResponseToAirtable(response._id);
+      return null;
+    } catch (airtableError) {
+      await AirtableService.queueResponseSync(response);
+      return airtableError.message;
+    }
+  }
+
+  /**
+   * Start a draft. Only a hash of the resume token is stored, so the token
+   * returned here is the respondent's only way back to the draft.
+   * @returns {Object} - { response, resumeToken }
+   */
+  async createDraft(form, answers, options = {}) {
+    const resumeToken = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+
+    const response = new Response({
+      formId: form._id,
+      userId: form.userId,
+      status: 'draft',
+      answers: answers.filter(answer => !isEmpty(answer.value)),
+      draft: {
+        resumeTokenHash: TokenManager.hashToken(resumeToken),
+        lastSavedAt: now,
+        expiresAt: new Date(now.getTime() + this.draftTtlMs)
+      },
+      metadata: options.metadata || {}
+    });
+
+    if (options.req) {
+      response.submittedBy = {
+        ip: options.req.ip,
+        userAgent: options.req.get('User-Agent'),
+        referrer: options.req.get('Referer')
+      };
+    }
+
+    await response.save();
+    return { response, resumeToken };
+  }
+
+  /**
+   * The resume token travels in a header or the body, never the URL, so request logs don't keep it
+   */
+  getResumeToken(req) {
+    return req.get('X-Resume-Token') || req.body?.resumeToken || null;
+  }
+
+  /**
+   * @returns {Object|null} - The unexpired draft the token belongs to
+   */
+  async findDraft(resumeToken) {
+    if (typeof resumeToken !== 'string' || !resumeToken) {
+      return null;
+    }
+
+    return Response.findOne({
+      status: 'draft',
+      'draft.resumeTokenHash': TokenManager.hashToken(resumeToken),
+      'draft.expiresAt': { $gt: new Date() }
+    });
+  }
+
+  /**
+   * Take a draft out of draft status before submitting it, so two concurrent
+   * submits can't both write it to Airtable
+   * @returns {Object|null} - The claimed draft, or null if another submit got it first
+   */
+  claimDraft(draft) {
+    return Response.findOneAndUpdate(
+      { _id: draft._id, status: 'draft' },
+      { status: 'pending', 'draft.claimedAt': new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Give a claimed draft back when its submission was refused or failed before it was saved
+   */
+  releaseDraft(draft) {
+    return Response.updateOne(
+      { _id: draft._id, status: 'pending', airtableRecordId: null },
+      { status: 'draft', $unset: { 'draft.claimedAt': 1 } }
+    );
+  }
+
+  /**
+   * Save answers into a draft and push its expiry back
+   */
+  async updateDraft(draft, answers) {
+    const now = new Date();
+
+    answers.forEach(update => {
+      const answer = draft.answers.find(a => a.questionKey === update.questionKey);
+
+      if (isEmpty(update.value)) {
+        draft.answers = draft.answers.filter(a => a.questionKey !== update.questionKey);
+      } else if (answer) {
+        answer.value = update.value;
+        answer.submittedAt = now;
+      } else {
+        draft.answers.push(update);
+      }
+    });
+
+    draft.draft.lastSavedAt = now;
+    draft.draft.expiresAt = new Date(now.getTime() + this.draftTtlMs);
+    await draft.save();
+    return draft;
+  }
+
+  /**
+   * Link the respondent follows to resume a draft in the form app
+   */
+  getResumeUrl(form, resumeToken) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    // A fragment never reaches servers, proxies or Referer headers
+    return `${frontendUrl}/forms/${form._id}#resume=${encodeURIComponent(resumeToken)}`;
+  }
+
+  getEditSettings(form) {
+    const edits = form.settings?.respondentEdits || {};
+
+    return {
+      enabled: !!edits.enabled,
+      windowHours: edits.windowHours || 72
+    };
+  }
+
+  getEditableUntil(form, response) {
+    const { windowHours } = this.getEditSettings(form);
+    return new Date(response.createdAt.getTime() + windowHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Signed link that lets the respondent edit a response until the edit window closes
+   * @returns {Object|null} - { editToken, editUrl, editableUntil }, or null if the form doesn't allow edits
+   */
+  issueEditLink(form, response) {
+    if (!this.getEditSettings(form).enabled) {
+      return null;
+    }
+
+    const editableUntil = this.getEditableUntil(form, response);
+    const expiresIn = Math.floor((editableUntil.getTime() - Date.now()) / 1000);
+    if (expiresIn <= 0) {
+      return null;
+    }
+
+    const editToken = TokenManager.generateShortLivedToken({
+      scope: EDIT_TOKEN_SCOPE,
+      responseId: response._id.toString(),
+      formId: form._id.toString()
+    }, expiresIn);
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    return {
+      editToken,
+      editUrl: `${frontendUrl}/forms/${form._id}/edit#token=${encodeURIComponent(editToken)}`,
+      editableUntil
+    };
+  }
+
+  /**
+   * Like the resume token, the edit token comes in a header or the body rather than the URL
+   */
+  getEditToken(req) {
+    return req.get('X-Edit-Token') || req.body?.editToken || null;
+  }
+
+  /**
+   * Look up the response an edit link points to. The window is checked again here,
+   * so shortening it or turning edits off also affects links already sent.
+   * @returns {Object} - { form, response } or { status, error }
+   */
+  async findEditable(editToken) {
+    const decoded = TokenManager.verifyToken(editToken);
+    if (!decoded || decoded.scope !== EDIT_TOKEN_SCOPE) {
+      return { status: 401, error: 'Edit link is invalid or has expired' };
+    }
+
+    const response = await Response.findOne({
+      _id: decoded.responseId,
+      formId: decoded.formId,
+      status: { $nin: ['deleted', 'draft'] }
+    });
+
+    const form = response && await Form.findOne({
+      _id: response.formId,
+      isActive: true,
+      publishedAt: { $ne: null }
+    });
+
+    if (!response || !form) {
+      return { status: 404, error: 'Response not found' };
+    }
+
+    if (!this.getEditSettings(form).enabled || Date.now() > this.getEditableUntil(form, response).getTime()) {
+      return { status: 403, error: 'This response can no longer be edited' };
+    }
+
+    return { form, response };
+  }
+
+  /**
+   * Apply a respondent's edits. They are merged with the saved answers and
+   * validated like a new submission, so answers hidden by conditional logic are
+   * cleared; the changes are recorded and only the changed fields are written to Airtable.
+   * @param {Object} rawAnswers - Edited answers keyed by question key
+   * @returns {Object} - { response, changes, syncError } or { status, error, details }
+   */
+  async editResponse(form, response, rawAnswers, req) {
+    const saved = Object.fromEntries(response.answers
+      .filter(answer => form.getQuestion(answer.questionKey))
+      .map(answer => [answer.questionKey, answer.value]));
+
+    const processed = await this.processAnswers(form, { ...saved, ...rawAnswers }, { saved });
+    if (processed.errors.length > 0) {
+      return { status: 400, error: 'Validation failed', details: processed.errors };
+    }
+
+    const kept = new Set(processed.answers.map(answer => answer.questionKey));
+    const hidden = Object.keys(saved)
+      .filter(questionKey => !kept.has(questionKey))
+      .map(questionKey => ({ questionKey, value: null }));
+
+    const changes = [...processed.answers, ...hidden]
+      .map(edit => ({
+        questionKey: edit.questionKey,
+        from: saved[edit.questionKey] !== undefined ? saved[edit.questionKey] : null,
+        to: edit.value
+      }))
+      .filter(change => !ConflictResolver.sameValue(change.from, change.to));
+
+    if (changes.length === 0) {
+      return { response, changes, syncError: null };
+    }
+
+    this.applyAnswerEdits(response, changes.map(change => ({ questionKey: change.questionKey, value: change.to })));
+    response.editHistory.push({
+      changes,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    await response.save();
+
+    const syncError = await this.pushAnswerChanges(form, response, changes);
+    return { response, changes, syncError };
+  }
+
+  /**
+   * Write changed answers to the response's Airtable record; a failure is queued for retry
+   * @returns {String|null} - The sync error, if the write failed
+   */
+  async pushAnswerChanges(form, response, changes) {
+    // Not in Airtable yet; the queued create will carry the edited answers
+    if (response.airtableRecordId.startsWith('local_')) {
+      await AirtableService.queueResponseSync(response);
+      return null;
+    }
+
+    const changedKeys = new Set(changes.map(change => change.questionKey));
+    const changed = response.answers.filter(answer => changedKeys.has(answer.questionKey));
+
+    try {
+      const user = await User.findById(form.userId);
+
+      await AirtableService.updateRecord(
+        user,
+        form.airtableBaseId,
+        form.airtableTableId,
+        response.airtableRecordId,
+        FieldValueTransformer.toAirtableFields(form, changed),
+        { typecast: FieldValueTransformer.needsTypecast(form, changed) }
+      );
+
+      changed.forEach(answer => {
+        answer.syncedValue = answer.value;
+      });
+      response.markModified('answers');
+      await response.updateSyncStatus(true);
+      return null;
+
+    } catch (airtableError) {
+      logger.warn(`Pushing respondent edits of response ${response._id} failed, queued for retry:`, airtableError.message);
+      await response.updateSyncStatus(false, airtableError.message);
+      await AirtableService.queueResponseSync(response);
+      return airtableError.message;
+    }
+  }
+
+  /**
+   * Drafts hold no Airtable record, so abandoned ones are simply removed.
+   * Drafts still claimed by a submit that never saved them are given back first.
+   * @returns {Number} - Drafts removed
+   */
+  async expireDrafts() {
+    const released = await Response.updateMany(
+      {
+        status: 'pending',
+        airtableRecordId: null,
+        'draft.claimedAt': { $lte: new Date(Date.now() - DRAFT_CLAIM_TIMEOUT_MS) }
+      },
+      { status: 'draft', $unset: { 'draft.claimedAt': 1 } }
+    );
+
+    if (released.modifiedCount > 0) {
+      logger.warn(`Released ${released.modifiedCount} draft(s) left claimed by an interrupted submit`);
+    }
+
+    const result = await Response.deleteMany({
+      status: 'draft',
+      'draft.expiresAt': { $lte: new Date() }
+    });
+
+    if (result.deletedCount > 0) {
+      logger.info(`Removed ${result.deletedCount} expired draft response(s)`);
+    }
+    return result.deletedCount;
+  }
+}
+
+module.exports = new SubmissionService();
@@ -0,0 +1,72 @@
+const User = require('../models/User');
+const Form = require('../models/Form');
+const AirtableTokenService = require('./airtableTokenService');
+const scheduler = require('../utils/scheduler');
+const logger = require('../utils/logger');
+
+class TokenRefreshService {
+  constructor() {
+    this.intervalMs = (parseInt(process.env.TOKEN_REFRESH_INTERVAL_MINUTES) || 5) * 60 * 1000;
+    this.leadTimeMs = (parseInt(process.env.TOKEN_REFRESH_LEAD_MINUTES) || 15) * 60 * 1000;
+    this.batchSize = 50;
+  }
+
+  start() {
+    scheduler.every('token-refresh', this.intervalMs, () => this.refreshExpiringTokens(), {
+      runImmediately: true
+    });
+  }
+
+  stop() {
+    scheduler.stop('token-refresh');
+  }
+
+  /**
+   * Refresh tokens for form owners whose Airtable token expires within the lead time.
+   * Users in backoff after a failed refresh are skipped until nextTokenRefreshAt.
+   */
+  async refreshExpiringTokens() {
+    const now = new Date();
+    const ownerIds = await Form.distinct('userId', {
+      isActive: true,
+      publishedAt: { $ne: null }
+    });
+
+    if (ownerIds.length === 0) {
+      return { refreshed: 0, failed: 0 };
+    }
+
+    const users = await User.find({
+      _id: { $in: ownerIds },
+      isActive: true,
+      needsReauth: { $ne: true },
+      tokenExpiresAt: { $lte: new Date(now.getTime() + this.leadTimeMs) },
+      $or: [
+        { nextTokenRefreshAt: null },
+        { nextTokenRefreshAt: { $lte: now } }
+      ]
+    })
+      .sort({ tokenExpiresAt: 1 })
+      .limit(this.batchSize);
+
+    const results = { refreshed: 0, failed: 0 };
+
+    for (const user of users) {
+      try {
+        await AirtableTokenService.getAccessToken(user, { forceRefresh: true });
+        results.refreshed++;
+      } catch (error) {
+        // Failures are recorded on the user by AirtableTokenService
+        results.failed++;
+      }
+    }
+
+    if (users.length > 0) {
+      logger.info(`Token refresh run: ${results.refreshed} refreshed, ${results.failed} failed`);
+    }
+
+    return results;
+  }
+}
+
+module.exports = new TokenRefreshService();
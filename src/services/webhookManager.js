@@ -0,0 +1,190 @@
+const Webhook = require('../models/Webhook');
+const Form = require('../models/Form');
+const User = require('../models/User');
+const AirtableService = require('./airtableService');
+const WebhookSyncService = require('./webhookSyncService');
+const logger = require('../utils/logger');
+
+class WebhookManager {
+  constructor() {
+    this.notificationUrl = process.env.WEBHOOK_NOTIFICATION_URL;
+    // Reconciliations in flight per base/table, so concurrent publishes share one webhook
+    this.pending = new Map();
+  }
+
+  /**
+   * Webhook specification scoped to one table and the fields its forms map to
+   * @param {String} tableId - Table to watch (all tables if omitted)
+   * @param {Array} fieldIds - Fields to watch (all fields if omitted)
+   */
+  buildSpecification(tableId, fieldIds = []) {
+    const filters = { dataTypes: ['tableData', 'tableFields'] };
+
+    if (tableId) {
+      filters.recordChangeScope = tableId;
+    }
+    if (fieldIds.length > 0) {
+      filters.watchDataInFieldIds = fieldIds;
+      filters.watchSchemasOfFieldIds = fieldIds;
+    }
+
+    return { options: { filters } };
+  }
+
+  /**
+   * Queue a reconciliation for a table; runs for the same table never overlap
+   */
+  reconcile(baseId, tableId, ownerId) {
+    const key = `${baseId}:${tableId}`;
+    const previous = this.pending.get(key) || Promise.resolve();
+    const run = previous
+      .catch(() => {})
+      .then(() => this.reconcileTable(baseId, tableId, ownerId));
+
+    this.pending.set(key, run);
+    run
+      .finally(() => {
+        if (this.pending.get(key) === run) {
+          this.pending.delete(key);
+        }
+      })
+      .catch(() => {});
+
+    return run;
+  }
+
+  /**
+   * Bring the managed webhook for a table in line with the published forms on it:
+   * create it when the first form is published, re-create it when the watched
+   * fields change and delete it when no published forms remain.
+   * @returns {Object|null} - The active webhook, or null if none is needed
+   */
+  async reconcileTable(baseId, tableId, ownerId) {
+    const forms = await Form.find({
+      airtableBaseId: baseId,
+      airtableTableId: tableId,
+      isActive: true,
+      publishedAt: { $ne: null }
+    });
+
+    const existing = await Webhook.findOne({ baseId, tableId, managed: true, isActive: true, retiringSince: null });
+
+    if (forms.length === 0) {
+      if (existing) {
+        await this.remove(existing);
+      }
+      return null;
+    }
+
+    const fieldIds = Array.from(new Set(
+      forms.flatMap(form => form.questions.map(q => q.airtableFieldId))
+    )).sort();
+    const specification = this.buildSpecification(tableId, fieldIds);
+
+    if (existing && JSON.stringify(existing.specification) === JSON.stringify(specification)) {
+      return existing;
+    }
+
+    if (!this.notificationUrl) {
+      logger.warn(`WEBHOOK_NOTIFICATION_URL not set, no webhook registered for table ${tableId}`);
+      return existing;
+    }
+
+    const owner = await this.findOwner(existing, forms, ownerId);
+    if (!owner) {
+      throw new Error(`No form owner with valid Airtable access for table ${tableId}`);
+    }
+
+    const webhookData = await AirtableService.createWebhook(owner, baseId, {
+      notificationUrl: this.notificationUrl,
+      specification
+    });
+
+    const webhook = new Webhook({
+      userId: owner._id,
+      baseId,
+      tableId,
+      webhookId: webhookData.id,
+      macSecret: webhookData.macSecret,
+      expirationTime: new Date(webhookData.expirationTime),
+      notificationUrl: this.notificationUrl,
+      specification,
+      managed: true,
+      isActive: true
+    });
+    await webhook.save();
+
+    // The old webhook keeps delivering until the new one exists, so nothing is missed
+    if (existing) {
+      await this.retire(existing);
+    }
+
+    logger.info(`Registered webhook ${webhook.webhookId} for table ${tableId} (${fieldIds.length} fields)`);
+    return webhook;
+  }
+
+  /**
+   * Prefer the current webhook's owner, then the form owner who triggered the change,
+   * then any other owner of a published form on the table
+   */
+  async findOwner(existing, forms, ownerId) {
+    const candidates = [
+      existing && existing.userId,
+      ownerId,
+      ...forms.map(form => form.userId)
+    ].filter(Boolean).map(id => id.toString());
+
+    for (const userId of new Set(candidates)) {
+      const user = await User.findById(userId);
+      if (user && user.isActive && !user.needsReauth) {
+        return user;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove a replaced webhook after applying the payloads it queued before its
+   * replacement existed. If they can't be applied yet it stays active, marked
+   * retiring, and the renewal run tries again.
+   * @returns {Boolean} - Whether the webhook was removed
+   */
+  async retire(webhook) {
+    if (!webhook.retiringSince) {
+      webhook.retiringSince = new Date();
+      await webhook.save();
+    }
+
+    try {
+      await WebhookSyncService.processWebhook({
+        base: { id: webhook.baseId },
+        webhook: { id: webhook.webhookId }
+      });
+    } catch (error) {
+      logger.warn(`Keeping retiring webhook ${webhook.webhookId} until its payloads apply:`, error.message);
+      return false;
+    }
+
+    await this.remove(webhook);
+    return true;
+  }
+
+  async remove(webhook) {
+    const owner = await User.findById(webhook.userId);
+
+    if (owner && !owner.needsReauth) {
+      try {
+        await AirtableService.deleteWebhook(owner, webhook.baseId, webhook.webhookId);
+      } catch (error) {
+        logger.warn(`Airtable webhook deletion failed for ${webhook.webhookId}:`, error.message);
+      }
+    }
+
+    webhook.isActive = false;
+    await webhook.save();
+    logger.info(`Removed webhook ${webhook.webhookId} for table ${webhook.tableId}`);
+  }
+}
+
+module.exports = new WebhookManager();
@@ -0,0 +1,193 @@
+const Webhook = require('../models/Webhook');
+const User = require('../models/User');
+const AirtableService = require('./airtableService');
+const WebhookManager = require('./webhookManager');
+const scheduler = require('../utils/scheduler');
+const logger = require('../utils/logger');
+
+// Airtable answers these when the token or base access is gone
+const ACCESS_LOST_STATUSES = [401, 403, 404];
+
+class WebhookRenewalService {
+  constructor() {
+    this.intervalMs = (parseInt(process.env.WEBHOOK_RENEWAL_INTERVAL_MINUTES) || 60) * 60 * 1000;
+    // Airtable webhooks expire 7 days after creation or the last refresh
+    this.leadTimeMs = (parseInt(process.env.WEBHOOK_RENEWAL_LEAD_HOURS) || 48) * 60 * 60 * 1000;
+  }
+
+  start() {
+    scheduler.every('webhook-renewal', this.intervalMs, () => this.renewAll(), {
+      runImmediately: true
+    });
+  }
+
+  stop() {
+    scheduler.stop('webhook-renewal');
+  }
+
+  /**
+   * Check every active webhook against Airtable, refreshing ones close to expiry
+   * and re-creating ones Airtable has disabled. Webhooks are listed once per owner and base.
+   * Retiring webhooks are not renewed; their removal is retried instead.
+   */
+  async renewAll() {
+    const webhooks = await Webhook.find({ isActive: true });
+    const groups = new Map();
+    const results = { refreshed: 0, recreated: 0, unhealthy: 0, retired: 0 };
+
+    for (const webhook of webhooks.filter(webhook => webhook.retiringSince)) {
+      if (await WebhookManager.retire(webhook)) {
+        results.retired++;
+      }
+    }
+
+    webhooks.filter(webhook => !webhook.retiringSince).forEach(webhook => {
+      const key = `${webhook.userId}:${webhook.baseId}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(webhook);
+    });
+
+    for (const group of groups.values()) {
+      const groupResults = await this.renewGroup(group);
+      results.refreshed += groupResults.refreshed;
+      results.recreated += groupResults.recreated;
+      results.unhealthy += groupResults.unhealthy;
+    }
+
+    if (webhooks.length > 0) {
+      logger.info(`Webhook renewal run: ${results.refreshed} refreshed, ${results.recreated} re-created, ${results.unhealthy} unhealthy, ${results.retired} retired`);
+    }
+
+    return results;
+  }
+
+  async renewGroup(webhooks) {
+    const { userId, baseId } = webhooks[0];
+    const results = { refreshed: 0, recreated: 0, unhealthy: 0 };
+
+    const markAll = async (reason) => {
+      for (const webhook of webhooks) {
+        webhook.markUnhealthy(reason);
+        await webhook.save();
+      }
+      results.unhealthy += webhooks.length;
+      logger.warn(`Webhooks for base ${baseId} marked unhealthy: ${reason}`);
+      return results;
+    };
+
+    const owner = await User.findById(userId);
+    if (!owner || !owner.isActive) {
+      return markAll('Webhook owner no longer exists');
+    }
+    if (owner.needsReauth) {
+      return markAll('Webhook owner needs to reauthenticate with Airtable');
+    }
+
+    let remoteWebhooks;
+    try {
+      remoteWebhooks = await AirtableService.listWebhooks(owner, baseId);
+    } catch (error) {
+      if (ACCESS_LOST_STATUSES.includes(error.status)) {
+        return markAll(`Lost access to base: ${error.message}`);
+      }
+      // Transient failure; try again on the next run
+      logger.error(`Failed to list webhooks for base ${baseId}:`, error.message);
+      return results;
+    }
+
+    const remoteById = new Map(remoteWebhooks.map(remote => [remote.id, remote]));
+
+    for (const webhook of webhooks) {
+      try {
+        const outcome = await this.renewWebhook(owner, webhook, remoteById.get(webhook.webhookId));
+        if (outcome) {
+          results[outcome]++;
+        }
+      } catch (error) {
+        webhook.markUnhealthy(error.message);
+        await webhook.save();
+        results.unhealthy++;
+        logger.error(`Failed to renew webhook ${webhook.webhookId}:`, error.message);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Bring one webhook back to a healthy state
+   * @param {Object} remote - The webhook as listed by Airtable, if it still exists
+   * @returns {String|null} - 'refreshed', 'recreated' or null if nothing was needed
+   */
+  async renewWebhook(owner, webhook, remote) {
+    if (!remote || !remote.isHookEnabled) {
+      await this.recreate(owner, webhook, remote);
+      return 'recreated';
+    }
+
+    if (remote.areNotificationsEnabled === false) {
+      await AirtableService.enableWebhookNotifications(owner, webhook.baseId, webhook.webhookId);
+      logger.info(`Re-enabled notifications for webhook ${webhook.webhookId}`);
+    }
+
+    const expiresAt = remote.expirationTime ? new Date(remote.expirationTime) : webhook.expirationTime;
+    let outcome = null;
+
+    if (!expiresAt || expiresAt.getTime() - Date.now() < this.leadTimeMs) {
+      await this.refresh(owner, webhook);
+      outcome = 'refreshed';
+    } else {
+      webhook.expirationTime = expiresAt;
+    }
+
+    webhook.markHealthy();
+    await webhook.save();
+    return outcome;
+  }
+
+  /**
+   * Extend a webhook's expiry. The refresh response only carries the new
+   * expirationTime; the macSecret issued at creation stays valid.
+   */
+  async refresh(owner, webhook) {
+    const webhookData = await AirtableService.refreshWebhook(owner, webhook.baseId, webhook.webhookId);
+
+    webhook.expirationTime = new Date(webhookData.expirationTime);
+    webhook.lastRefreshedAt = new Date();
+    return webhook;
+  }
+
+  /**
+   * Replace a disabled or missing webhook with a new one using the stored specification.
+   * Payloads start over at cursor 1 on the new webhook.
+   */
+  async recreate(owner, webhook, remote) {
+    if (remote) {
+      try {
+        await AirtableService.deleteWebhook(owner, webhook.baseId, webhook.webhookId);
+      } catch (error) {
+        logger.warn(`Failed to delete disabled webhook ${webhook.webhookId}:`, error.message);
+      }
+    }
+
+    const webhookData = await AirtableService.createWebhook(owner, webhook.baseId, {
+      notificationUrl: webhook.notificationUrl,
+      specification: webhook.specification || WebhookManager.buildSpecification(webhook.tableId)
+    });
+
+    logger.info(`Re-created webhook ${webhook.webhookId} as ${webhookData.id} for base ${webhook.baseId}`);
+
+    webhook.webhookId = webhookData.id;
+    webhook.macSecret = webhookData.macSecret;
+    webhook.expirationTime = new Date(webhookData.expirationTime);
+    webhook.cursor = 1;
+    webhook.recreatedAt = new Date();
+    webhook.markHealthy();
+    await webhook.save();
+    return webhook;
+  }
+}
+
+module.exports = new WebhookRenewalService();
@@ -1,85 +1,298 @@
+const os = require('os');
 const crypto = require('crypto');
 const Response = require('../models/Response');
 const Form = require('../models/Form');
+const User = require('../models/User');
+const Webhook = require('../models/Webhook');
+const Job = require('../models/Job');
 const AirtableService = require('./airtableService');
+const FieldValueTransformer = require('./fieldValueTransformer');
+const OptionSourceService = require('./optionSourceService');
+const SchemaDriftService = require('./schemaDriftService');
+const RecordRoutingService = require('./recordRoutingService');
+const ConflictResolver = require('./conflictResolver');
+const JobQueue = require('./jobQueue');
+const { modifiedAfter } = require('../utils/airtableFormula');
 const logger = require('../utils/logger');
 
+const MAC_PREFIX = 'hmac-sha256=';
+const SYNC_RECORD_JOB = 'webhook.syncRecord';
+
+// Allowance for clock skew between this server and Airtable's modification times
+const WATERMARK_SKEW_MS = 60 * 1000;
+
 class WebhookSyncService {
   constructor() {
-    this.webhookSecret = process.env.WEBHOOK_SECRET;
     this.batchSize = 10;
-    this.maxRetries = 3;
+    // In-flight payload processing per webhook ID
+    this.processing = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.leaseMs = (parseInt(process.env.WEBHOOK_LEASE_SECONDS) || 120) * 1000;
+
+    // Records set aside after a permanent failure are retried from the dead jobs
+    JobQueue.register(SYNC_RECORD_JOB, ({ baseId, tableId, recordId, changedAt }) =>
+      this.syncSingleRecord(baseId, tableId, recordId, new Date(changedAt), { rethrow: true }));
+  }
+
+  /**
+   * Verify an Airtable notification against its webhook's MAC secret
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {String} macHeader - X-Airtable-Content-MAC header ("hmac-sha256=<hex>")
+   * @param {String} macSecret - Base64 secret issued when the webhook was created
+   * @returns {Boolean}
+   */
+  verifySignature(rawBody, macHeader, macSecret) {
+    if (!rawBody || !macHeader || !macSecret || !macHeader.startsWith(MAC_PREFIX)) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', Buffer.from(macSecret, 'base64'))
+      .update(rawBody)
+      .digest();
+    const received = Buffer.from(macHeader.slice(MAC_PREFIX.length), 'hex');
+
+    // timingSafeEqual throws on length mismatch
+    return received.length === expected.length &&
+      crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * Handle a notification ping from Airtable. Pings only identify the base and
+   * webhook; the changes themselves are pulled from the payloads endpoint.
+   * Runs for the same webhook are serialized so payloads apply in order.
+   * @param {Object} notification - { base: { id }, webhook: { id }, timestamp }
+   */
+  processWebhook(notification) {
+    const baseId = notification?.base?.id;
+    const webhookId = notification?.webhook?.id;
+
+    if (!baseId || !webhookId) {
+      return Promise.reject(new Error('Invalid webhook notification'));
+    }
+
+    const previous = this.processing.get(webhookId) || Promise.resolve();
+    const run = previous
+      .catch(() => {})
+      .then(() => this.fetchAndApplyPayloads(webhookId));
+
+    this.processing.set(webhookId, run);
+    run
+      .finally(() => {
+        if (this.processing.get(webhookId) === run) {
+          this.processing.delete(webhookId);
+        }
+      })
+      .catch(() => {});
+
+    return run;
   }
 
   /**
-   * Verify webhook signature
+   * Fetch every pending payload for a webhook from its stored cursor and apply them.
+   * The cursor is saved after each applied payload, so a failure resumes from the
+   * first unapplied payload on the next notification. The webhook is leased while
+   * payloads are applied so two instances never apply the same payload; a
+   * notification that arrives meanwhile makes the lease holder fetch again.
    */
-  verifySignature(payload, signature) {
-    if (!this.webhookSecret) {
-      logger.warn('WEBHOOK_SECRET not set, skipping signature verification');
+  async fetchAndApplyPayloads(webhookId) {
+    let processed = 0;
+
+    for (;;) {
+      const webhook = await this.claimWebhook(webhookId);
+      if (!webhook) {
+        return { processed };
+      }
+
+      try {
+        processed += await this.applyPendingPayloads(webhook);
+      } catch (error) {
+        await this.releaseWebhook(webhook, { force: true });
+        throw error;
+      }
+
+      if (await this.releaseWebhook(webhook)) {
+        logger.info(`Applied ${processed} payload(s) for webhook ${webhookId}`);
+        return { processed, cursor: webhook.cursor };
+      }
+    }
+  }
+
+  /**
+   * Lease a webhook for this instance. When another instance holds it, ask that
+   * instance to fetch again before letting go and return null.
+   */
+  async claimWebhook(webhookId) {
+    const claim = () => {
+      const now = new Date();
+      return Webhook.findOneAndUpdate(
+        {
+          webhookId,
+          isActive: true,
+          $or: [
+            { processingBy: null },
+            { processingBy: this.workerId },
+            { processingUntil: { $lt: now } }
+          ]
+        },
+        {
+          processingBy: this.workerId,
+          processingUntil: new Date(now.getTime() + this.leaseMs),
+          rerunRequested: false,
+          lastNotificationAt: now
+        },
+        { new: true }
+      );
+    };
+
+    const webhook = await claim();
+    if (webhook) {
+      return webhook;
+    }
+
+    const requested = await Webhook.updateOne(
+      { webhookId, isActive: true },
+      { rerunRequested: true, lastNotificationAt: new Date() }
+    );
+    if (requested.matchedCount === 0) {
+      logger.warn(`Notification for unknown or inactive webhook ${webhookId}`);
+      return null;
+    }
+
+    // The holder may have let go before seeing the request
+    return claim();
+  }
+
+  /**
+   * Give up the lease. Unless forced, it is kept when a rerun was requested
+   * meanwhile, and false is returned so the caller fetches again.
+   */
+  async releaseWebhook(webhook, options = {}) {
+    const filter = { _id: webhook._id, processingBy: this.workerId };
+    if (!options.force) {
+      filter.rerunRequested = { $ne: true };
+    }
+
+    const released = await Webhook.updateOne(filter, { processingBy: null, processingUntil: null });
+    if (released.matchedCount > 0 || options.force) {
       return true;
     }
 
-    const expectedSignature = crypto
-      .createHmac('sha256', this.webhookSecret)
-      .update(payload)
-      .digest('hex');
+    // Lost the lease to another instance, which now handles any rerun itself
+    const held = await Webhook.exists({ _id: webhook._id, processingBy: this.workerId });
+    return !held;
+  }
 
-    return crypto.timingSafeEqual(
-      Buffer.from(signature),
-      Buffer.from(expectedSignature)
+  /**
+   * Save payload progress and extend the lease, but only while this instance holds it
+   */
+  async saveProgress(webhook, update) {
+    const saved = await Webhook.updateOne(
+      { _id: webhook._id, processingBy: this.workerId },
+      { ...update, processingUntil: new Date(Date.now() + this.leaseMs) }
     );
+
+    if (saved.matchedCount === 0) {
+      throw new Error(`Lease on webhook ${webhook.webhookId} was lost before its payloads were applied`);
+    }
   }
 
   /**
-   * Process webhook payload from Airtable
+   * Apply payloads from a leased webhook's cursor until Airtable has no more
+   * @returns {Number} - Payloads applied
    */
-  async processWebhook(payload) {
+  async applyPendingPayloads(webhook) {
+    const user = await User.findById(webhook.userId);
+    if (!user || user.needsReauth) {
+      logger.warn(`Owner of webhook ${webhook.webhookId} needs to reauthenticate, payloads left pending`);
+      return 0;
+    }
+
+    let processed = 0;
+    let mightHaveMore = true;
+
     try {
-      const { base, webhook } = payload;
-      
-      if (!base || !webhook) {
-        throw new Error('Invalid webhook payload');
-      }
+      while (mightHaveMore) {
+        const requestCursor = webhook.cursor;
+        const page = await AirtableService.listWebhookPayloads(
+          user,
+          webhook.baseId,
+          webhook.webhookId,
+          requestCursor
+        );
+
+        for (const [index, payload] of page.payloads.entries()) {
+          await this.applyPayload(webhook.baseId, payload);
+
+          // Payload cursors are sequential, so this one's successor is next
+          webhook.cursor = requestCursor + index + 1;
+          await this.saveProgress(webhook, { cursor: webhook.cursor, lastPayloadAt: new Date() });
+          processed++;
+        }
 
-      logger.info(`Processing webhook for base ${base.id}, action: ${webhook.action}`);
-
-      switch (webhook.action) {
-        case 'updatedRecords':
-          await this.handleUpdatedRecords(base.id, webhook);
-          break;
-          
-        case 'createdRecords':
-          await this.handleCreatedRecords(base.id, webhook);
-          break;
-          
-        case 'deletedRecords':
-          await this.handleDeletedRecords(base.id, webhook);
-          break;
-          
-        default:
-          logger.warn(`Unhandled webhook action: ${webhook.action}`);
+        webhook.cursor = page.cursor;
+        mightHaveMore = page.mightHaveMore && page.payloads.length > 0;
       }
 
-      logger.info(`Webhook processing completed for base ${base.id}`);
-      return { success: true };
+      await this.saveProgress(webhook, { cursor: webhook.cursor, lastProcessingError: null });
 
     } catch (error) {
-      logger.error('Webhook processing failed:', error);
+      logger.error(`Processing payloads for webhook ${webhook.webhookId} stopped at cursor ${webhook.cursor}:`, error.message);
+      await Webhook.updateOne({ _id: webhook._id }, { lastProcessingError: error.message });
       throw error;
     }
+
+    return processed;
   }
 
   /**
-   * Handle updated records
+   * Translate one webhook payload's changedTablesById into local sync actions
    */
-  async handleUpdatedRecords(baseId, webhook) {
-    const { tableId, recordIds } = webhook;
-    
-    if (!tableId || !recordIds || !Array.isArray(recordIds)) {
-      throw new Error('Invalid updated records payload');
+  async applyPayload(baseId, payload) {
+    if (payload.error) {
+      logger.warn(`Webhook payload for base ${baseId} reported an error: ${payload.code}`);
+      return;
+    }
+
+    const changedTables = payload.changedTablesById || {};
+    const changedAt = payload.timestamp ? new Date(payload.timestamp) : new Date();
+
+    for (const [tableId, changes] of Object.entries(changedTables)) {
+      const recordIds = [
+        ...Object.keys(changes.createdRecordsById || {}),
+        ...Object.keys(changes.changedRecordsById || {})
+      ];
+
+      if (recordIds.length > 0) {
+        await this.handleChangedRecords(baseId, tableId, recordIds, changedAt);
+      }
+
+      if (changes.destroyedRecordIds && changes.destroyedRecordIds.length > 0) {
+        await this.handleDeletedRecords(baseId, tableId, changes.destroyedRecordIds);
+      }
+
+      const fieldsChanged = Object.keys(changes.createdFieldsById || {}).length > 0 ||
+        Object.keys(changes.changedFieldsById || {}).length > 0 ||
+        (changes.destroyedFieldIds || []).length > 0;
+
+      if (fieldsChanged) {
+        await this.handleSchemaChange(baseId, tableId);
+      }
     }
 
+    for (const tableId of payload.destroyedTableIds || []) {
+      await this.handleSchemaChange(baseId, tableId);
+    }
+  }
+
+  /**
+   * Handle created or updated records
+   * @param {Date} changedAt - When the change happened in Airtable
+   */
+  async handleChangedRecords(baseId, tableId, recordIds, changedAt) {
+    // The table may feed option lists on other forms
+    OptionSourceService.invalidate(baseId, tableId);
+
     // Find forms for this base and table
     const forms = await Form.find({
       airtableBaseId: baseId,
@@ -88,7 +301,6 @@ class WebhookSyncService {
     });
 
     if (forms.length === 0) {
-      logger.warn(`No active forms found for base ${baseId}, table ${tableId}`);
       return;
     }
 
@@ -96,73 +308,79 @@ class WebhookSyncService {
     for (let i = 0; i < recordIds.length; i += this.batchSize) {
       const batch = recordIds.slice(i, i + this.batchSize);
       
+      // AirtableService queues these per base, so the batch can't exceed the rate limit
       await Promise.all(
-        batch.map(recordId => this.syncSingleRecord(baseId, tableId, recordId))
+        batch.map(recordId => this.syncSingleRecord(baseId, tableId, recordId, changedAt))
       );
-      
-      // Rate limiting delay
-      await new Promise(resolve => setTimeout(resolve, 100));
     }
   }
 
-  /**
-   * Handle created records
-   */
-  async handleCreatedRecords(baseId, webhook) {
-    // Similar to updated records, but we might want to create new responses
-    await this.handleUpdatedRecords(baseId, webhook);
-  }
-
   /**
    * Handle deleted records
    */
-  async handleDeletedRecords(baseId, webhook) {
-    const { tableId, recordIds } = webhook;
-    
-    if (!tableId || !recordIds || !Array.isArray(recordIds)) {
-      throw new Error('Invalid deleted records payload');
-    }
+  async handleDeletedRecords(baseId, tableId, recordIds) {
+    OptionSourceService.invalidate(baseId, tableId);
 
     // Mark responses as deleted in our database
     for (const recordId of recordIds) {
-      try {
-        const response = await Response.markAsDeleted(recordId);
-        if (response) {
-          logger.info(`Marked response for record ${recordId} as deleted`);
-        }
-      } catch (error) {
-        logger.error(`Failed to mark record ${recordId} as deleted:`, error);
+      const result = await Response.markAsDeleted(recordId);
+      if (result.modifiedCount > 0) {
+        logger.info(`Marked ${result.modifiedCount} response(s) for record ${recordId} as deleted`);
       }
     }
   }
 
   /**
-   * Sync a single record from Airtable to our database
+   * Handle field or table changes: drop cached schemas and re-check affected forms for drift
    */
-  async syncSingleRecord(baseId, tableId, recordId) {
+  async handleSchemaChange(baseId, tableId) {
+    AirtableService.clearTablesCache(baseId);
+    OptionSourceService.invalidate(baseId, tableId);
+
+    const forms = await Form.find({
+      airtableBaseId: baseId,
+      airtableTableId: tableId,
+      isActive: true
+    });
+
+    for (const form of forms) {
+      await SchemaDriftService.checkForm(form, {
+        autoHeal: form.settings?.autoHealSchemaDrift
+      });
+    }
+  }
+
+  /**
+   * Sync a single record from Airtable to the responses of the forms it belongs to.
+   * Transient failures are rethrown so webhook processing stops and retries the
+   * payload; a record that can never sync is dead-lettered so later payloads still
+   * apply. options.rethrow rethrows every failure instead (used by the retry job).
+   */
+  async syncSingleRecord(baseId, tableId, recordId, changedAt, options = {}) {
+    let forms = [];
+
     try {
-      // Find the form for this table
-      const form = await Form.findOne({
+      // Every form writing to this table is a candidate owner of the record
+      forms = await Form.find({
         airtableBaseId: baseId,
         airtableTableId: tableId,
         isActive: true
       });
 
-      if (!form) {
+      if (forms.length === 0) {
         logger.warn(`No form found for base ${baseId}, table ${tableId}`);
         return;
       }
 
       // Get user to access Airtable API
-      const user = await require('../models/User').findById(form.userId);
-      if (!user || user.isTokenExpired()) {
-        logger.warn(`User ${form.userId} token expired for record sync`);
-        return;
+      const user = await this.findSyncUser(forms);
+      if (!user) {
+        throw new Error(`No owner of a form on table ${tableId} has valid Airtable access`);
       }
 
       // Fetch record from Airtable
       const airtableRecord = await AirtableService.getRecord(
-        user.accessToken,
+        user,
         baseId,
         tableId,
         recordId
@@ -173,185 +391,362 @@ class WebhookSyncService {
         return;
       }
 
-      // Convert Airtable fields to our response format
-      const answers = [];
-      form.questions.forEach(question => {
-        const fieldValue = airtableRecord.fields[question.airtableFieldId];
-        if (fieldValue !== undefined) {
-          answers.push({
-            questionKey: question.questionKey,
-            value: fieldValue,
-            submittedAt: new Date()
-          });
-        }
-      });
+      const targets = await RecordRoutingService.route(forms, airtableRecord);
 
-      // Find or create response
-      let response = await Response.findOne({ airtableRecordId: recordId });
-      
-      if (response) {
-        // Update existing response
-        response.answers = answers;
-        response.status = 'synced';
-        response.syncStatus.lastSyncedAt = new Date();
-        response.syncStatus.syncAttempts += 1;
-      } else {
-        // Create new response
-        response = new Response({
-          formId: form._id,
-          userId: form.userId,
-          airtableRecordId: recordId,
-          status: 'synced',
-          answers: answers,
-          syncStatus: {
-            lastSyncedAt: new Date(),
-            syncAttempts: 1
-          }
-        });
+      if (targets.length === 0) {
+        logger.info(`Record ${recordId} does not belong to any form, skipped`);
+        return;
       }
 
-      await response.save();
-      logger.info(`Synced record ${recordId} to database`);
+      for (const { form, response } of targets) {
+        await this.applyRecord(form, response, airtableRecord, changedAt);
+      }
+
+      logger.info(`Synced record ${recordId} to ${targets.length} form(s)`);
 
     } catch (error) {
       logger.error(`Failed to sync record ${recordId}:`, error);
       
       // Update response status if it exists
       try {
-        const response = await Response.findOne({ airtableRecordId: recordId });
-        if (response) {
-          response.status = 'failed';
-          response.syncStatus.syncError = error.message;
-          response.syncStatus.syncAttempts += 1;
-          await response.save();
-        }
+        await Response.updateMany(
+          { airtableRecordId: recordId, status: { $ne: 'deleted' } },
+          {
+            status: 'failed',
+            'syncStatus.syncError': error.message,
+            $inc: { 'syncStatus.syncAttempts': 1 }
+          }
+        );
       } catch (dbError) {
         logger.error(`Failed to update error status for record ${recordId}:`, dbError);
       }
+
+      if (options.rethrow || !JobQueue.isPermanentError(error)) {
+        // Let webhook processing stop here so the change is retried
+        throw error;
+      }
+
+      await JobQueue.deadLetter(
+        SYNC_RECORD_JOB,
+        { baseId, tableId, recordId, changedAt: changedAt.toISOString() },
+        error,
+        { userId: forms[0]?.userId, dedupeKey: `${SYNC_RECORD_JOB}:${recordId}` }
+      );
     }
   }
 
   /**
-   * Sync all records for a form
+   * Write an Airtable record onto a form's response, creating the response if needed.
+   * Existing responses are merged field by field under the form's conflict policy.
    */
-  async syncAllRecordsForForm(formId) {
-    try {
-      const form = await Form.findById(formId);
-      if (!form) {
-        throw new Error('Form not found');
+  async applyRecord(form, response, airtableRecord, changedAt) {
+    // Convert Airtable fields to our response format
+    const answers = FieldValueTransformer.fromAirtableFields(form, airtableRecord.fields);
+
+    if (!response) {
+      // Create new response
+      response = new Response({
+        formId: form._id,
+        userId: form.userId,
+        airtableRecordId: airtableRecord.id,
+        status: 'synced',
+        answers: answers.map(answer => ({
+          ...answer,
+          syncedValue: answer.value,
+          submittedAt: new Date()
+        })),
+        syncStatus: {
+          lastSyncedAt: new Date(),
+          syncAttempts: 1
+        }
+      });
+      return response.save();
+    }
+
+    const merge = ConflictResolver.applyMerge(form, response, answers, { changedAt });
+
+    // Update existing response
+    response.status = merge.needsPush ? 'pending' : 'synced';
+    response.syncStatus.lastSyncedAt = new Date();
+    response.syncStatus.syncAttempts += 1;
+    await response.save();
+
+    if (merge.needsPush) {
+      await this.pushLocalWins([response._id]);
+    }
+
+    return response;
+  }
+
+  /**
+   * Push responses whose local values won a conflict back to Airtable
+   */
+  async pushLocalWins(responseIds) {
+    for (const responseId of responseIds) {
+      try {
+        await AirtableService.syncResponseToAirtable(responseId);
+      } catch (error) {
+        logger.warn(`Could not push local values of response ${responseId}, queued for retry:`, error.message);
+        const response = await Response.findById(responseId);
+        if (response) {
+          await AirtableService.queueResponseSync(response);
+        }
       }
+    }
+  }
 
-      const user = await require('../models/User').findById(form.userId);
-      if (!user || user.isTokenExpired()) {
-        throw new Error('User token expired');
+  /**
+   * First owner among the forms whose Airtable access is still valid
+   */
+  async findSyncUser(forms) {
+    const ownerIds = new Set(forms.map(form => form.userId.toString()));
+
+    for (const ownerId of ownerIds) {
+      const user = await User.findById(ownerId);
+      if (user && !user.needsReauth) {
+        return user;
       }
+    }
 
-      logger.info(`Starting full sync for form ${formId}`);
-      
-      let offset = null;
-      let syncedCount = 0;
-      let errorCount = 0;
+    return null;
+  }
 
-      do {
-        try {
-          // Fetch records from Airtable with pagination
-          const url = `https://api.airtable.com/v0/${form.airtableBaseId}/${form.airtableTableId}`;
-          const params = offset ? { offset } : {};
-          
-          const response = await require('axios').get(url, {
-            headers: {
-              'Authorization': `Bearer ${user.accessToken}`
-            },
-            params
-          });
-
-          const { records, offset: nextOffset } = response.data;
-          
-          // Process each record
-          for (const record of records) {
-            try {
-              await this.syncSingleRecord(
-                form.airtableBaseId,
-                form.airtableTableId,
-                record.id
-              );
-              syncedCount++;
-            } catch (recordError) {
-              logger.error(`Failed to sync record ${record.id}:`, recordError);
-              errorCount++;
-            }
-          }
+  /**
+   * Pull records for a form from Airtable and apply them in bulk.
+   * Incremental runs only fetch records modified since the form's watermark;
+   * full runs (the first run, or options.full) fetch everything and also
+   * mark responses whose records no longer exist as deleted.
+   * @param {String} formId - Form to sync
+   * @param {Object} options - { full }
+   * @returns {Object} - { success, mode, created, updated, deleted, unchanged, skipped }
+   */
+  async syncAllRecordsForForm(formId, options = {}) {
+    const form = await Form.findById(formId);
+    if (!form) {
+      throw new Error('Form not found');
+    }
+
+    const user = await User.findById(form.userId);
+    if (!user || user.needsReauth) {
+      throw new Error('Form owner needs to reauthenticate with Airtable');
+    }
+
+    const startedAt = new Date();
+    const watermark = options.full ? null : form.syncState?.watermark;
+    const mode = watermark ? 'incremental' : 'full';
+    const counts = { created: 0, updated: 0, deleted: 0, unchanged: 0, skipped: 0 };
+
+    logger.info(`Starting ${mode} sync for form ${formId}`);
+
+    try {
+      // Other forms on the table take part in routing, so their source fields are fetched too
+      const tableForms = await Form.find({
+        airtableBaseId: form.airtableBaseId,
+        airtableTableId: form.airtableTableId,
+        isActive: true
+      });
 
-          offset = nextOffset;
-          
-          // Rate limiting
-          await new Promise(resolve => setTimeout(resolve, 200));
+      const fields = Array.from(new Set([
+        ...form.questions.map(q => q.airtableFieldId),
+        ...tableForms.map(f => RecordRoutingService.getSyncSettings(f).sourceFieldId).filter(Boolean)
+      ]));
+
+      const params = { fields, returnFieldsByFieldId: true, pageSize: 100 };
+      if (watermark) {
+        // Overlap by the skew allowance; re-applying an unchanged record is a no-op
+        params.filterByFormula = modifiedAfter(watermark.getTime() - WATERMARK_SKEW_MS);
+      }
 
-        } catch (batchError) {
-          logger.error('Batch sync failed:', batchError);
-          errorCount++;
-          break;
+      const seenRecordIds = new Set();
+      const pushIds = [];
+      let offset = null;
+
+      do {
+        const page = await AirtableService.listRecords(
+          user,
+          form.airtableBaseId,
+          form.airtableTableId,
+          offset ? { ...params, offset } : params
+        );
+
+        page.records.forEach(record => seenRecordIds.add(record.id));
+
+        const operations = await this.buildSyncOperations(form, tableForms, page.records, counts, pushIds);
+        if (operations.length > 0) {
+          await Response.bulkWrite(operations, { ordered: false });
         }
+
+        offset = page.offset;
       } while (offset);
 
-      logger.info(`Full sync completed for form ${formId}: ${syncedCount} synced, ${errorCount} errors`);
+      if (mode === 'full') {
+        counts.deleted = await this.markMissingRecordsDeleted(form, seenRecordIds);
+      }
+
+      await this.pushLocalWins(pushIds);
+
+      form.syncState = {
+        watermark: startedAt,
+        lastRunAt: startedAt,
+        lastFullSyncAt: mode === 'full' ? startedAt : form.syncState?.lastFullSyncAt,
+        lastResult: { mode, ...counts },
+        lastError: null
+      };
+      await form.save();
+
+      logger.info(`Sync (${mode}) completed for form ${formId}: ${counts.created} created, ${counts.updated} updated, ${counts.deleted} deleted, ${counts.unchanged} unchanged`);
 
       return {
         success: true,
-        syncedCount,
-        errorCount
+        mode,
+        ...counts
       };
 
     } catch (error) {
-      logger.error(`Full sync failed for form ${formId}:`, error);
+      logger.error(`Sync (${mode}) failed for form ${formId}:`, error);
+
+      // The watermark stays put so the next run covers this window again
+      form.set('syncState.lastRunAt', startedAt);
+      form.set('syncState.lastError', error.message);
+      await form.save();
       throw error;
     }
   }
 
   /**
-   * Retry failed syncs
+   * Turn a page of Airtable records into Response bulkWrite operations for one form
    */
-  async retryFailedSyncs(limit = 100) {
-    try {
-      const failedResponses = await Response.find({
-        status: 'failed',
-        'syncStatus.syncAttempts': { $lt: this.maxRetries }
-      }).limit(limit);
+  async buildSyncOperations(form, tableForms, records, counts, pushIds) {
+    const routes = await RecordRoutingService.routeMany(tableForms, records);
+    const now = new Date();
+    const operations = [];
 
-      logger.info(`Retrying ${failedResponses.length} failed syncs`);
+    records.forEach(record => {
+      const target = routes.get(record.id).find(route => route.form._id.equals(form._id));
 
-      const results = {
-        success: 0,
-        failed: 0
-      };
+      if (!target) {
+        counts.skipped++;
+        return;
+      }
 
-      for (const response of failedResponses) {
-        try {
-          const form = await Form.findById(response.formId);
-          if (!form) continue;
+      const answers = FieldValueTransformer.fromAirtableFields(form, record.fields);
+      const { response } = target;
+
+      if (!response) {
+        counts.created++;
+        operations.push({
+          insertOne: {
+            document: {
+              formId: form._id,
+              userId: form.userId,
+              airtableRecordId: record.id,
+              status: 'synced',
+              answers: answers.map(answer => ({
+                ...answer,
+                syncedValue: answer.value,
+                submittedAt: now
+              })),
+              syncStatus: {
+                lastSyncedAt: now,
+                syncAttempts: 1
+              }
+            }
+          }
+        });
+        return;
+      }
 
-          const user = await require('../models/User').findById(form.userId);
-          if (!user || user.isTokenExpired()) continue;
+      if (response.status === 'deleted') {
+        // The record is back (e.g. restored in Airtable); take Airtable's values as-is
+        response.answers = [];
+      }
 
-          await AirtableService.syncResponseToAirtable(response._id);
-          results.success++;
-        } catch (error) {
-          logger.error(`Retry failed for response ${response._id}:`, error);
-          results.failed++;
-        }
+      const merge = ConflictResolver.applyMerge(form, response, answers);
 
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 50));
+      if (!merge.changed && response.status !== 'deleted') {
+        counts.unchanged++;
+        return;
       }
 
-      logger.info(`Retry completed: ${results.success} succeeded, ${results.failed} failed`);
-      
-      return results;
+      counts.updated++;
+      if (merge.needsPush) {
+        pushIds.push(response._id);
+      }
 
-    } catch (error) {
-      logger.error('Retry failed syncs operation failed:', error);
-      throw error;
+      operations.push({
+        updateOne: {
+          filter: { _id: response._id },
+          update: {
+            $set: {
+              answers: response.answers.map(answer => answer.toObject()),
+              conflicts: response.conflicts.map(conflict => conflict.toObject()),
+              status: merge.needsPush ? 'pending' : 'synced',
+              'syncStatus.lastSyncedAt': now,
+              'syncStatus.syncError': null
+            },
+            $inc: { 'syncStatus.syncAttempts': 1 }
+          }
+        }
+      });
+    });
+
+    return operations;
+  }
+
+  /**
+   * After a full listing, mark synced responses whose records are gone as deleted.
+   * Local-only responses (never written to Airtable) are left alone.
+   * @returns {Number} - Responses marked deleted
+   */
+  async markMissingRecordsDeleted(form, seenRecordIds) {
+    const responses = await Response.find({
+      formId: form._id,
+      status: { $nin: ['deleted', 'draft'] },
+      airtableRecordId: { $not: /^local_/ }
+    }).select('airtableRecordId');
+
+    const missing = responses
+      .filter(response => !seenRecordIds.has(response.airtableRecordId))
+      .map(response => response._id);
+
+    if (missing.length === 0) {
+      return 0;
+    }
+
+    const result = await Response.updateMany(
+      { _id: { $in: missing } },
+      { status: 'deleted', respondentKey: null, 'syncStatus.lastSyncedAt': new Date() }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Queue retry jobs for failed responses, e.g. ones that failed before the job
+   * queue existed. Responses whose job already went dead are left for a manual retry.
+   * @returns {Number} - Responses queued
+   */
+  async retryFailedSyncs(limit = 100) {
+    // Pending responses still on a local ID were interrupted before their first Airtable write
+    const failedResponses = await Response.find({
+      $or: [{ status: 'failed' }, { status: 'pending', airtableRecordId: /^local_/ }]
+    })
+      .sort({ updatedAt: 1 })
+      .limit(limit);
+
+    const deadKeys = new Set(await Job.distinct('dedupeKey', {
+      status: 'dead',
+      dedupeKey: { $in: failedResponses.map(response => AirtableService.getResponseSyncKey(response._id)) }
+    }));
+
+    const queue = failedResponses.filter(response => !deadKeys.has(AirtableService.getResponseSyncKey(response._id)));
+    for (const response of queue) {
+      await AirtableService.queueResponseSync(response);
+    }
+
+    if (queue.length > 0) {
+      logger.info(`Queued ${queue.length} failed response(s) for retry`);
     }
+    return queue.length;
   }
 }
 
@@ -0,0 +1,41 @@
+/**
+ * Helpers for building Airtable filterByFormula expressions safely
+ */
+
+/**
+ * Quote a value as an Airtable formula string literal
+ */
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Reference a field by name, e.g. {Project Name}
+ */
+const fieldRef = (fieldName) => `{${String(fieldName).replace(/}/g, '\\}')}}`;
+
+/**
+ * Case-insensitive "contains" match against a field
+ */
+const fieldContains = (fieldName, term) =>
+  `SEARCH(LOWER(${quote(term)}), LOWER(${fieldRef(fieldName)} & ""))`;
+
+/**
+ * Match any of the given record IDs
+ */
+const recordIdIn = (recordIds) => {
+  const clauses = recordIds.map(id => `RECORD_ID() = ${quote(id)}`);
+  return clauses.length === 1 ? clauses[0] : `OR(${clauses.join(', ')})`;
+};
+
+/**
+ * Match records modified after the given time
+ */
+const modifiedAfter = (date) =>
+  `IS_AFTER(LAST_MODIFIED_TIME(), DATETIME_PARSE(${quote(new Date(date).toISOString())}))`;
+
+module.exports = {
+  quote,
+  fieldRef,
+  fieldContains,
+  recordIdIn,
+  modifiedAfter
+};
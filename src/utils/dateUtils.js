@@ -0,0 +1,68 @@
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?$/;
+
+/**
+ * Check a YYYY-MM-DD string is a real calendar date
+ */
+const isValidDateOnly = (value) => {
+  if (typeof value !== 'string' || !DATE_ONLY_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+const hasOffset = (value) => typeof value === 'string' && OFFSET_PATTERN.test(value);
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || timeZone === 'client') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Interpret a local ISO date-time (no offset) as wall-clock time in an IANA time zone
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (localIso, timeZone) => {
+  const asUtc = new Date(`${localIso}Z`);
+  const zoned = new Date(asUtc.toLocaleString('en-US', { timeZone }));
+  const utc = new Date(asUtc.toLocaleString('en-US', { timeZone: 'UTC' }));
+  return new Date(asUtc.getTime() - (zoned.getTime() - utc.getTime()));
+};
+
+/**
+ * Parse an ISO date-time answer. Values without an offset are read in the
+ * given time zone; returns null if the value can't be placed in time.
+ * @returns {Date|null}
+ */
+const parseDateTime = (value, timeZone) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  let date;
+  if (hasOffset(value)) {
+    date = new Date(value);
+  } else if (LOCAL_DATE_TIME_PATTERN.test(value) && isValidTimeZone(timeZone)) {
+    date = zonedTimeToUtc(value, timeZone);
+  } else {
+    return null;
+  }
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+module.exports = {
+  isValidDateOnly,
+  isValidTimeZone,
+  hasOffset,
+  parseDateTime
+};
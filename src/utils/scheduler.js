@@ -0,0 +1,62 @@
+const logger = require('./logger');
+
+class Scheduler {
+  constructor() {
+    this.tasks = new Map();
+  }
+
+  /**
+   * Run a task on a fixed interval. A run is skipped if the previous one is still going.
+   * @param {String} name - Unique task name
+   * @param {Number} intervalMs - Interval between runs
+   * @param {Function} task - Async function to run
+   * @param {Object} options - { runImmediately }
+   */
+  every(name, intervalMs, task, options = {}) {
+    if (this.tasks.has(name)) {
+      this.stop(name);
+    }
+
+    const entry = { running: false, timer: null };
+
+    const run = async () => {
+      if (entry.running) {
+        logger.debug(`Scheduled task ${name} still running, skipping this tick`);
+        return;
+      }
+
+      entry.running = true;
+      try {
+        await task();
+      } catch (error) {
+        logger.error(`Scheduled task ${name} failed:`, error);
+      } finally {
+        entry.running = false;
+      }
+    };
+
+    entry.timer = setInterval(run, intervalMs);
+    entry.timer.unref();
+    this.tasks.set(name, entry);
+
+    logger.info(`Scheduled task ${name} every ${Math.round(intervalMs / 1000)}s`);
+
+    if (options.runImmediately) {
+      setImmediate(run);
+    }
+  }
+
+  stop(name) {
+    const entry = this.tasks.get(name);
+    if (entry) {
+      clearInterval(entry.timer);
+      this.tasks.delete(name);
+    }
+  }
+
+  stopAll() {
+    Array.from(this.tasks.keys()).forEach(name => this.stop(name));
+  }
+}
+
+module.exports = new Scheduler();
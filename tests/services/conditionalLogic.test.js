@@ -0,0 +1,56 @@
+const ConditionalLogic = require('../../src/services/conditionalLogic');
+
+const questions = [{ questionKey: 'code', type: 'shortText' }];
+
+const patternRule = (pattern) => ({
+  logic: 'AND',
+  conditions: [{ questionKey: 'code', operator: 'matchesRegex', value: pattern }]
+});
+
+describe('ConditionalLogicEngine', () => {
+  describe('matchesRegex', () => {
+    test.each(['^(a+)+$', '(a|aa)*$', '((a+)b)*', '(.*){2,}', '(x)\\1'])('rejects the unsafe pattern %s', (pattern) => {
+      const validation = ConditionalLogic.validateRules(patternRule(pattern), questions);
+
+      expect(validation.valid).toBe(false);
+      expect(validation.errors[0]).toMatch('too slow');
+    });
+
+    test.each(['^[a-z]+@[a-z]+\\.(com|org)$', '^(\\+|00)?\\d{6,12}$', '(ab){3}'])('accepts %s', (pattern) => {
+      expect(ConditionalLogic.validateRules(patternRule(pattern), questions).valid).toBe(true);
+    });
+
+    test('matches respondent input', () => {
+      const rules = patternRule('^[A-Z]{3}-\\d+$');
+
+      expect(ConditionalLogic.shouldShowQuestion(rules, { code: 'ABC-12' }, questions)).toBe(true);
+      expect(ConditionalLogic.shouldShowQuestion(rules, { code: 'abc-12' }, questions)).toBe(false);
+    });
+
+    test('never runs a stored unsafe pattern', () => {
+      const started = Date.now();
+
+      expect(ConditionalLogic.shouldShowQuestion(patternRule('^(a+)+$'), { code: `${'a'.repeat(40)}!` }, questions)).toBe(false);
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    test('gives up on slow matches', () => {
+      const started = Date.now();
+
+      expect(ConditionalLogic.shouldShowQuestion(patternRule('\\d*\\d*\\d*x'), { code: '1'.repeat(1000) }, questions)).toBe(false);
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    test('does not match answers over the length limit', () => {
+      expect(ConditionalLogic.shouldShowQuestion(patternRule('^a+$'), { code: 'a'.repeat(1001) }, questions)).toBe(false);
+    });
+  });
+
+  describe('sameValue', () => {
+    test('compares arrays as multisets', () => {
+      expect(ConditionalLogic.sameValue(['a', 'a'], ['a', 'b'])).toBe(false);
+      expect(ConditionalLogic.sameValue(['a', 'b', 'a'], ['a', 'a', 'b'])).toBe(true);
+      expect(ConditionalLogic.sameValue(['a'], ['a', 'a'])).toBe(false);
+    });
+  });
+});
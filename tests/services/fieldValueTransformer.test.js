@@ -0,0 +1,178 @@
+const FieldValueTransformer = require('../../src/services/fieldValueTransformer');
+
+const options = [
+  { value: 'selAAA', label: 'Red' },
+  { value: 'selBBB', label: 'Green' }
+];
+
+const roundTrip = (question, value) =>
+  FieldValueTransformer.fromAirtable(question, FieldValueTransformer.toAirtable(question, value));
+
+describe('FieldValueTransformer', () => {
+  describe('text types', () => {
+    test.each(['shortText', 'longText', 'email', 'url', 'phoneNumber', 'date'])('%s round-trips as a string', (type) => {
+      const value = type === 'date' ? '2024-03-01' : 'hello@example.com';
+
+      expect(FieldValueTransformer.toAirtable({ type }, value)).toBe(value);
+      expect(roundTrip({ type }, value)).toBe(value);
+    });
+  });
+
+  describe('singleSelect', () => {
+    const question = { type: 'singleSelect', options };
+
+    test('writes the choice name and reads back the choice ID', () => {
+      expect(FieldValueTransformer.toAirtable(question, 'selBBB')).toBe('Green');
+      expect(FieldValueTransformer.fromAirtable(question, 'Green')).toBe('selBBB');
+      expect(roundTrip(question, 'selAAA')).toBe('selAAA');
+    });
+
+    test('uses live options for sourced questions', () => {
+      const sourced = { type: 'singleSelect', options: [], liveOptions: [{ value: 'recX', label: 'Acme' }] };
+
+      expect(FieldValueTransformer.toAirtable(sourced, 'recX')).toBe('Acme');
+      expect(roundTrip(sourced, 'recX')).toBe('recX');
+    });
+
+    test('passes unknown values through unchanged', () => {
+      expect(FieldValueTransformer.toAirtable(question, 'selZZZ')).toBe('selZZZ');
+      expect(FieldValueTransformer.fromAirtable(question, 'Blue')).toBe('Blue');
+    });
+  });
+
+  describe('multiSelect', () => {
+    const question = { type: 'multiSelect', options };
+
+    test('maps every choice ID to its name and back', () => {
+      expect(FieldValueTransformer.toAirtable(question, ['selAAA', 'selBBB'])).toEqual(['Red', 'Green']);
+      expect(roundTrip(question, ['selBBB', 'selAAA'])).toEqual(['selBBB', 'selAAA']);
+    });
+  });
+
+  describe('attachment', () => {
+    const question = { type: 'attachment' };
+    const file = { filename: 'cv.pdf', url: 'https://example.com/cv.pdf', size: 1024, type: 'application/pdf' };
+
+    test('writes only url and filename', () => {
+      expect(FieldValueTransformer.toAirtable(question, [file])).toEqual([
+        { url: file.url, filename: file.filename }
+      ]);
+    });
+
+    test('reads back Airtable attachments with size and type', () => {
+      const cell = [{ id: 'attX', ...file }];
+
+      expect(FieldValueTransformer.fromAirtable(question, cell)).toEqual([file]);
+    });
+
+    test('round-trips url and filename', () => {
+      expect(roundTrip(question, [file])).toEqual([{ ...file, size: 0, type: '' }]);
+    });
+  });
+
+  describe('linkedRecord', () => {
+    const question = { type: 'linkedRecord' };
+
+    test('keeps record IDs as an array in both directions', () => {
+      expect(FieldValueTransformer.toAirtable(question, ['recAAAAAAAAAAAAAA'])).toEqual(['recAAAAAAAAAAAAAA']);
+      expect(roundTrip(question, ['recAAAAAAAAAAAAAA', 'recBBBBBBBBBBBBBB']))
+        .toEqual(['recAAAAAAAAAAAAAA', 'recBBBBBBBBBBBBBB']);
+    });
+  });
+
+  describe('numeric types', () => {
+    test.each(['number', 'currency', 'rating', 'duration'])('%s round-trips as a number', (type) => {
+      expect(FieldValueTransformer.toAirtable({ type }, 42.5)).toBe(42.5);
+      expect(roundTrip({ type }, 42.5)).toBe(42.5);
+    });
+
+    test('percent is written as a fraction and read back as a percentage', () => {
+      const question = { type: 'percent', fieldOptions: { precision: 1 } };
+
+      expect(FieldValueTransformer.toAirtable(question, 12.5)).toBe(0.125);
+      expect(roundTrip(question, 12.5)).toBe(12.5);
+    });
+
+    test('percent without a precision keeps float noise out', () => {
+      expect(roundTrip({ type: 'percent' }, 7)).toBe(7);
+    });
+  });
+
+  describe('checkbox', () => {
+    test('round-trips true and false', () => {
+      expect(roundTrip({ type: 'checkbox' }, true)).toBe(true);
+      expect(FieldValueTransformer.toAirtable({ type: 'checkbox' }, false)).toBe(false);
+      expect(FieldValueTransformer.fromAirtable({ type: 'checkbox' }, false)).toBe(false);
+    });
+  });
+
+  describe('dateTime', () => {
+    test('round-trips UTC ISO strings', () => {
+      const value = '2024-03-01T09:30:00.000Z';
+
+      expect(FieldValueTransformer.toAirtable({ type: 'dateTime' }, value)).toBe(value);
+      expect(roundTrip({ type: 'dateTime' }, value)).toBe(value);
+    });
+  });
+
+  describe('empty values', () => {
+    test.each([undefined, null, '', []])('%p becomes null in both directions', (value) => {
+      expect(FieldValueTransformer.toAirtable({ type: 'multiSelect', options }, value)).toBeNull();
+      expect(FieldValueTransformer.fromAirtable({ type: 'multiSelect', options }, value)).toBeNull();
+    });
+  });
+
+  test('rejects question types without a converter', () => {
+    expect(() => FieldValueTransformer.toAirtable({ type: 'barcode' }, 'x')).toThrow('No value converter');
+  });
+
+  describe('fields', () => {
+    const questions = [
+      { questionKey: 'color', type: 'singleSelect', airtableFieldId: 'fldColor', options },
+      { questionKey: 'agree', type: 'checkbox', airtableFieldId: 'fldAgree' }
+    ];
+    const form = {
+      questions,
+      getQuestion: (questionKey) => questions.find(q => q.questionKey === questionKey)
+    };
+
+    test('answers round-trip through an Airtable fields object', () => {
+      const answers = [
+        { questionKey: 'color', value: 'selAAA' },
+        { questionKey: 'agree', value: true }
+      ];
+      const fields = FieldValueTransformer.toAirtableFields(form, answers);
+
+      expect(fields).toEqual({ fldColor: 'Red', fldAgree: true });
+      expect(FieldValueTransformer.fromAirtableFields(form, fields)).toEqual(answers);
+    });
+
+    test('fields Airtable omitted produce no answer', () => {
+      expect(FieldValueTransformer.fromAirtableFields(form, { fldColor: 'Green' })).toEqual([
+        { questionKey: 'color', value: 'selBBB' }
+      ]);
+    });
+  });
+
+  describe('needsTypecast', () => {
+    const questions = [
+      { questionKey: 'color', type: 'singleSelect', options },
+      { questionKey: 'project', type: 'singleSelect', optionSource: { tableId: 'tblProjects' } },
+      { questionKey: 'notes', type: 'shortText', optionSource: { tableId: 'tblProjects' } }
+    ];
+    const form = {
+      getQuestion: (questionKey) => questions.find(q => q.questionKey === questionKey)
+    };
+
+    test('is needed when a sourced question writes to a select field', () => {
+      expect(FieldValueTransformer.needsTypecast(form, [{ questionKey: 'project', value: 'recX' }])).toBe(true);
+    });
+
+    test('is not needed for static choices or other field types', () => {
+      expect(FieldValueTransformer.needsTypecast(form, [
+        { questionKey: 'color', value: 'selAAA' },
+        { questionKey: 'notes', value: 'Acme' }
+      ])).toBe(false);
+    });
+  });
+});